@@ -0,0 +1,78 @@
+/**
+ * Leased action claims (see ACTION LOCKS in the handler)
+ */
+
+const {
+  configureStateStore,
+  getCallRecord,
+  updateCallRecord,
+  claimAction,
+  runClaimedAction,
+  resetState
+} = require('../functions/ios26_CallScreeningDetection_Transcriptions')._test;
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const IOS26_CLAIM = { action: 'ios26_response', fromStates: ['INITIAL'], toState: 'IOS26_MONITORING' };
+const VOICEMAIL_CLAIM = { action: 'voicemail_direct', fromStates: ['INITIAL'], toState: 'VOICEMAIL_DELIVERED' };
+
+beforeEach(async () => {
+  resetState();
+  configureStateStore({});
+  await updateCallRecord('CA1', record => {
+    record.state = 'INITIAL';
+  });
+});
+
+describe('claimAction', () => {
+  test('lets exactly one of several concurrent webhooks claim an action', async () => {
+    const owners = await Promise.all([1, 2, 3].map(() => claimAction('CA1', IOS26_CLAIM, 15000)));
+
+    expect(owners.filter(Boolean)).toHaveLength(1);
+    expect((await getCallRecord('CA1')).state).toBe('IOS26_MONITORING');
+  });
+
+  test('refuses a claim when the call is not in one of its states', async () => {
+    expect(await claimAction('CA1', IOS26_CLAIM, 15000)).not.toBeNull();
+    expect(await claimAction('CA1', VOICEMAIL_CLAIM, 15000)).toBeNull();
+    expect((await getCallRecord('CA1')).state).toBe('IOS26_MONITORING');
+  });
+
+  test('lets another webhook take over once the lease has expired', async () => {
+    expect(await claimAction('CA1', IOS26_CLAIM, 0)).not.toBeNull();
+
+    // Judged by the state the dead claim started from, not the one it moved to
+    expect(await claimAction('CA1', IOS26_CLAIM, 15000)).not.toBeNull();
+  });
+});
+
+describe('runClaimedAction', () => {
+  test('performs the action once and never again', async () => {
+    const perform = jest.fn(async () => {});
+
+    expect(await runClaimedAction('CA1', {}, IOS26_CLAIM, perform)).toBe('SUCCESS');
+    expect(await runClaimedAction('CA1', {}, IOS26_CLAIM, perform)).toBe('ABORTED');
+    expect(perform).toHaveBeenCalledTimes(1);
+
+    const record = await getCallRecord('CA1');
+    expect(record.processedActions).toEqual(['ios26_response']);
+    expect(record.actionLocks).toEqual({});
+  });
+
+  test('releases the claim and restores the state when the action fails', async () => {
+    const failing = async () => { throw new Error('REST update failed'); };
+
+    expect(await runClaimedAction('CA1', {}, IOS26_CLAIM, failing)).toBe('ERROR');
+    expect((await getCallRecord('CA1')).state).toBe('INITIAL');
+    expect(await runClaimedAction('CA1', {}, IOS26_CLAIM, async () => {})).toBe('SUCCESS');
+  });
+
+  test('uses ACTION_LOCK_LEASE_MS for the lease', async () => {
+    const before = Date.now();
+    await runClaimedAction('CA1', { ACTION_LOCK_LEASE_MS: '60000' }, IOS26_CLAIM, async () => {
+      const lock = (await getCallRecord('CA1')).actionLocks.ios26_response;
+      expect(lock.expiresAt).toBeGreaterThanOrEqual(before + 60000);
+    });
+  });
+});
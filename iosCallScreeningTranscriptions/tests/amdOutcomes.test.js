@@ -0,0 +1,81 @@
+/**
+ * AMD results that aren't human or machine - fax and unknown (see the AMD
+ * webhook and handleUnknownAMD in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, useFakeClock, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const T0 = Date.parse('2026-01-01T12:00:00.000Z');
+const LOOP = { CallSid: 'CA1', loop: 'monitoring' };
+
+beforeEach(() => {
+  resetState();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('hangs up on a fax machine', async () => {
+  const { context, requests } = createContext();
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'fax' });
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('ENDED');
+  expect(record.disposition).toBe('fax');
+  expect(requests).toEqual([expect.objectContaining({ twiml: expect.stringContaining('<Hangup/>') })]);
+});
+
+test('a fax result after the call was decided changes nothing', async () => {
+  const { context, requests } = createContext({ VOICEMAIL_MESSAGE: 'Please call us back' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Please leave a message after the tone', { SequenceId: '1' }));
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'fax' });
+
+  expect((await getCallRecord('CA1')).state).toBe('VOICEMAIL_DELIVERED');
+  expect(requests.some(request => String(request.twiml).includes('<Hangup/>'))).toBe(false);
+});
+
+describe('AMD unknown', () => {
+  async function answerUnknown() {
+    useFakeClock(T0);
+    const { context, requests } = createContext({ VOICEMAIL_MESSAGE: 'Please call us back', NO_SPEECH_TIMEOUT: '600', UNKNOWN_AMD_TIMEOUT: '20' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+    jest.setSystemTime(T0 + 5 * 1000);
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'unknown' });
+    return { context, requests };
+  }
+
+  test('hangs up UNKNOWN_AMD_TIMEOUT after the result if transcription has not decided', async () => {
+    const { context } = await answerUnknown();
+
+    jest.setSystemTime(T0 + 24 * 1000);
+    expect(await sendWebhook(handlerModule, context, LOOP)).toContain('<Pause length="1"/>');
+    expect((await getCallRecord('CA1')).state).toBe('INITIAL');
+
+    jest.setSystemTime(T0 + 25 * 1000);
+    expect(await sendWebhook(handlerModule, context, LOOP)).toContain('<Hangup/>');
+
+    const record = await getCallRecord('CA1');
+    expect(record.state).toBe('ENDED');
+    expect(record.disposition).toBe('amd_unknown');
+  });
+
+  test('lets transcription decide inside the window', async () => {
+    const { context } = await answerUnknown();
+    await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Please leave a message after the tone', { SequenceId: '1' }));
+    expect((await getCallRecord('CA1')).state).toBe('VOICEMAIL_DELIVERED');
+
+    jest.setSystemTime(T0 + 60 * 1000);
+    await sendWebhook(handlerModule, context, LOOP);
+
+    const record = await getCallRecord('CA1');
+    expect(record.state).toBe('VOICEMAIL_DELIVERED');
+    expect(record.disposition).not.toBe('amd_unknown');
+  });
+});
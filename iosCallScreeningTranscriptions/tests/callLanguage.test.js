@@ -0,0 +1,85 @@
+/**
+ * Per-call language and locale-specific patterns (see CALL LANGUAGE and
+ * PATTERN LIBRARY in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const {
+  resolveCallLanguage,
+  validatePatternLibrary,
+  findPatternMatch,
+  detectScreenerPreamble,
+  detectVoicemailPatterns,
+  getCallRecord,
+  resetState
+} = handlerModule._test;
+const { createContext, sendWebhook, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('resolveCallLanguage', () => {
+  test('defaults to the library defaultLocale', () => {
+    expect(resolveCallLanguage({})).toBe('en-US');
+  });
+
+  test('prefers the request parameter, then the destination country, then the environment', () => {
+    const context = { TWILIO_LANGUAGE: 'fr-CA' };
+
+    expect(resolveCallLanguage(context, { TWILIO_LANGUAGE: 'de-DE', ToCountry: 'MX' })).toBe('de-DE');
+    expect(resolveCallLanguage(context, { ToCountry: 'MX' })).toBe('es-MX');
+    expect(resolveCallLanguage(context, { ToCountry: 'US' })).toBe('fr-CA');
+  });
+
+  test('skips a language the library has no phrases for', () => {
+    expect(resolveCallLanguage({ TWILIO_LANGUAGE: 'es-MX' }, { TWILIO_LANGUAGE: 'ja-JP' })).toBe('es-MX');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"ja-JP"'));
+  });
+
+  test('keeps a regional variant that another locale of its language can match', () => {
+    expect(resolveCallLanguage({}, { TWILIO_LANGUAGE: 'es-ES' })).toBe('es-ES');
+  });
+});
+
+describe('locale patterns', () => {
+  test('match in the call language, without caring about case or accents', () => {
+    expect(detectScreenerPreamble('Si graba su nombre y el motivo de su llamada', 'es-MX')).toMatchObject({ name: 'ios26' });
+    expect(detectVoicemailPatterns('Deje su nombre y numero', 'es-MX')).toBe(true);
+    expect(detectVoicemailPatterns('Deje su mensaje', 'en-US')).toBe(false);
+  });
+
+  test('fall back to a locale of the same language, then to the defaultLocale', () => {
+    expect(findPatternMatch('voicemail', 'deje su mensaje', 'es-ES')).not.toBeNull();
+    expect(findPatternMatch('voicemail', 'leave a message', 'ja-JP')).not.toBeNull();
+  });
+
+  test('a country may only belong to one locale', () => {
+    const library = {
+      schemaVersion: 2,
+      version: 'test',
+      defaultLocale: 'es-MX',
+      settings: { intermediateMaxWords: 10 },
+      locales: {}
+    };
+    const categories = { ios26: [], intermediate: [], voicemail: [], voicemailGreeting: [], human: [], questionWords: [] };
+    Object.keys(categories).forEach(category => { categories[category] = [{ id: `${category}.x`, phrase: 'x' }]; });
+    library.locales['es-MX'] = { countries: ['MX'], categories };
+    library.locales['es-US'] = { countries: ['MX', 'usa'], categories };
+
+    expect(validatePatternLibrary(library)).toEqual([
+      'locales.es-US.countries: MX already belongs to es-MX',
+      'locales.es-US.countries entry "usa" must be a two-letter country code (e.g. "MX")'
+    ]);
+  });
+});
+
+test('a call transcribes, and is stored, in its language', async () => {
+  const { context } = createContext();
+  const twiml = await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', ToCountry: 'BR' });
+
+  expect(twiml).toContain('languageCode="pt-BR"');
+  expect((await getCallRecord('CA1')).language).toBe('pt-BR');
+});
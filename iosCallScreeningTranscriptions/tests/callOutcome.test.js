@@ -0,0 +1,95 @@
+/**
+ * One structured outcome record per call (see CALL OUTCOME in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { classifyCallOutcome, buildCallOutcome, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const outcomeLines = () => console.log.mock.calls
+  .map(([line]) => String(line))
+  .filter(line => line.startsWith('📋 CALL_OUTCOME '))
+  .map(line => JSON.parse(line.slice('📋 CALL_OUTCOME '.length)));
+
+beforeEach(() => {
+  resetState();
+  console.log.mockClear();
+});
+
+describe('classifyCallOutcome', () => {
+  test.each([
+    ['human answered', { state: 'PASSTHROUGH', processedActions: ['human_passthrough'] },
+      { outcome: 'human_connected', reason: 'human_passthrough', scenario: 'scenario3', detector: 'transcription' }],
+    ['human after a screener', { state: 'PASSTHROUGH', screenerProfile: 'ios26', processedActions: ['ios26_response', 'human_after_ios26'] },
+      { outcome: 'ios26_human', reason: 'human_after_ios26', scenario: 'scenario2', detector: 'transcription' }],
+    ['voicemail', { state: 'VOICEMAIL_DELIVERED', processedActions: ['voicemail_direct', 'voicemail_playback'] },
+      { outcome: 'voicemail_left', reason: 'voicemail_direct', scenario: 'scenario4', detector: 'transcription' }],
+    ['voicemail after a screener timed out', { state: 'VOICEMAIL_DELIVERED', screenerProfile: 'google_call_screen', disposition: 'ios26_timeout', processedActions: ['ios26_response', 'ios26_timeout', 'voicemail_playback'] },
+      { outcome: 'ios26_voicemail', reason: 'ios26_timeout', scenario: 'ios26_timeout', detector: 'timer' }],
+    ['screener timeout transferred', { state: 'PASSTHROUGH', screenerProfile: 'ios26', disposition: 'ios26_timeout', processedActions: ['ios26_response', 'ios26_timeout'] },
+      { outcome: 'timeout', reason: 'ios26_timeout', scenario: 'ios26_timeout', detector: 'timer' }],
+    ['fax', { state: 'ENDED', disposition: 'fax', processedActions: ['fax'] },
+      { outcome: 'fax', reason: 'fax', scenario: 'fax', detector: 'amd' }],
+    ['mailbox full', { state: 'ENDED', disposition: 'mailbox_full', processedActions: ['undeliverable'] },
+      { outcome: 'undeliverable', reason: 'mailbox_full', scenario: 'undeliverable', detector: 'transcription' }],
+    ['unknown AMD', { state: 'ENDED', disposition: 'amd_unknown', processedActions: ['amd_unknown'] },
+      { outcome: 'timeout', reason: 'amd_unknown', scenario: 'amd_unknown', detector: 'timer' }],
+    ['hung up while waiting for the beep', { state: 'AWAITING_BEEP', processedActions: ['voicemail_direct'] },
+      { outcome: 'hung_up', reason: 'awaiting_beep', scenario: 'scenario4', detector: 'transcription' }]
+  ])('%s', (label, record, expected) => {
+    expect(classifyCallOutcome(record, 'completed')).toEqual(expected);
+  });
+
+  test('an unanswered call is reported by its status', () => {
+    expect(classifyCallOutcome({ state: 'INITIAL' }, 'no-answer'))
+      .toEqual({ outcome: 'no_answer', reason: 'no-answer', scenario: null, detector: 'call_status' });
+  });
+
+  test('credits AMD with the scenarios of an amd_only call', () => {
+    expect(classifyCallOutcome({ state: 'PASSTHROUGH', detectionMode: 'amd_only', processedActions: ['human_passthrough'] }, 'completed'))
+      .toMatchObject({ outcome: 'human_connected', detector: 'amd' });
+  });
+});
+
+test('buildCallOutcome says how the call got there', () => {
+  const record = {
+    state: 'VOICEMAIL_DELIVERED',
+    screenerProfile: 'ios26',
+    voicemailTrigger: 'amd_beep',
+    amdResult: 'machine_end_beep',
+    detectionMode: 'combined',
+    processedActions: ['ios26_response', 'voicemail_after_ios26', 'voicemail_playback', 'call_outcome']
+  };
+
+  expect(buildCallOutcome('CA1', record, { CallStatus: 'completed', CallDuration: '42' })).toMatchObject({
+    callSid: 'CA1',
+    outcome: 'ios26_voicemail',
+    screener: 'ios26',
+    screenerResponsePlayed: true,
+    messageDelivered: true,
+    voicemailTrigger: 'amd_beep',
+    actions: ['ios26_response', 'voicemail_after_ios26', 'voicemail_playback'],
+    durationSeconds: 42
+  });
+});
+
+test('reports the outcome once when the call completes, then cleans up', async () => {
+  const { context } = createContext({ VOICEMAIL_MESSAGE: 'Please call us back' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Please leave a message after the tone', { SequenceId: '1' }));
+
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'completed', CallDuration: '20' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'completed', CallDuration: '20' });
+
+  expect(outcomeLines()).toEqual([expect.objectContaining({ callSid: 'CA1', outcome: 'voicemail_left', durationSeconds: 20 })]);
+  expect(await getCallRecord('CA1')).toBeNull();
+});
+
+test('reports a call that was never answered', async () => {
+  const { context } = createContext();
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'busy' });
+
+  expect(outcomeLines()).toEqual([expect.objectContaining({ callSid: 'CA1', outcome: 'busy', detector: 'call_status' })]);
+});
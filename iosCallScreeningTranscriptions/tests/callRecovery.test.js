@@ -0,0 +1,67 @@
+/**
+ * Recovering a call we have no record of (see recoverCallState in the handler)
+ */
+
+const {
+  configureStateStore,
+  getCallRecord,
+  updateCallRecord,
+  recoverCallState,
+  resetState
+} = require('../functions/ios26_CallScreeningDetection_Transcriptions')._test;
+const { createContext, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+beforeEach(() => {
+  resetState();
+  configureStateStore({});
+});
+
+describe('recoverCallState', () => {
+  test('takes the start time from Twilio, so elapsed time includes what we missed', async () => {
+    const startTime = new Date(Date.now() - 12000);
+    const { context } = createContext({}, { status: 'in-progress', startTime });
+
+    expect(await recoverCallState('CA1', context, 'ios26-full-detection')).toBe(true);
+
+    const record = await getCallRecord('CA1');
+    expect(record.state).toBe('INITIAL');
+    expect(record.startTime).toBe(startTime.getTime());
+  });
+
+  test('infers IOS26_MONITORING from the post-ios26-monitoring session', async () => {
+    const { context } = createContext();
+
+    await recoverCallState('CA1', context, 'post-ios26-monitoring');
+
+    const record = await getCallRecord('CA1');
+    expect(record.state).toBe('IOS26_MONITORING');
+    // Our response was already played - it must never be played again
+    expect(record.processedActions).toContain('ios26_response');
+  });
+
+  test('does not recover a call that has already ended', async () => {
+    const { context } = createContext({}, { status: 'completed' });
+
+    expect(await recoverCallState('CA1', context, 'ios26-full-detection')).toBe(false);
+    expect(await getCallRecord('CA1')).toBeNull();
+  });
+
+  test('starts the clock now when the call cannot be fetched', async () => {
+    const { context } = createContext();
+    context.getTwilioClient = () => ({ calls: () => ({ fetch: async () => { throw new Error('timeout'); } }) });
+    const before = Date.now();
+
+    expect(await recoverCallState('CA1', context, undefined)).toBe(true);
+    expect((await getCallRecord('CA1')).startTime).toBeGreaterThanOrEqual(before);
+  });
+
+  test('leaves a record another webhook initialized in the meantime alone', async () => {
+    await updateCallRecord('CA1', record => { record.state = 'PASSTHROUGH'; });
+    const { context } = createContext();
+
+    await recoverCallState('CA1', context, 'post-ios26-monitoring');
+    expect((await getCallRecord('CA1')).state).toBe('PASSTHROUGH');
+  });
+});
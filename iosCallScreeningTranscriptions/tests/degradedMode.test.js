@@ -0,0 +1,131 @@
+/**
+ * Deciding without transcripts - DETECTION_MODE and transcription-error
+ * (see DETECTION MODE and DEGRADED MODE in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { resolveDetectionMode, classifyAMDResult, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, useFakeClock, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const T0 = Date.parse('2026-01-01T12:00:00.000Z');
+const TRANSCRIPTION_ERROR = {
+  CallSid: 'CA1',
+  TranscriptionEvent: 'transcription-error',
+  TranscriptionSid: 'GT00000000000000000000000000000001',
+  TranscriptionErrorCode: '32655',
+  TranscriptionError: 'Speech engine unavailable'
+};
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('resolveDetectionMode', () => {
+  test('defaults to combined', () => {
+    expect(resolveDetectionMode({})).toBe('combined');
+  });
+
+  test('takes DETECTION_MODE from the environment, overridden per call by the request', () => {
+    expect(resolveDetectionMode({ DETECTION_MODE: 'amd_only' })).toBe('amd_only');
+    expect(resolveDetectionMode({ DETECTION_MODE: 'amd_only' }, { DETECTION_MODE: 'transcription_only' }))
+      .toBe('transcription_only');
+  });
+
+  test('ignores values it does not know', () => {
+    expect(resolveDetectionMode({ DETECTION_MODE: 'psychic' })).toBe('combined');
+    expect(resolveDetectionMode({ DETECTION_MODE: 'amd_only' }, { DETECTION_MODE: 'psychic' })).toBe('amd_only');
+  });
+});
+
+test('classifyAMDResult only knows human and machine', () => {
+  expect(classifyAMDResult('human')).toBe('human');
+  expect(classifyAMDResult('machine_start')).toBe('machine');
+  expect(classifyAMDResult('machine_end_beep')).toBe('machine');
+  expect(classifyAMDResult('fax')).toBeNull();
+  expect(classifyAMDResult('unknown')).toBeNull();
+  expect(classifyAMDResult(null)).toBeNull();
+});
+
+describe('DETECTION_MODE=amd_only', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('skips transcription and starts the monitoring loop', async () => {
+    const { context } = createContext({ DETECTION_MODE: 'amd_only' });
+    const twiml = await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+
+    expect(twiml).not.toContain('<Transcription');
+    expect(twiml).toContain('?loop=monitoring</Redirect>');
+    expect((await getCallRecord('CA1')).detectionMode).toBe('amd_only');
+  });
+
+  test('leaves voicemail as soon as AMD hears the beep', async () => {
+    const { context, requests } = createContext({ DETECTION_MODE: 'amd_only', VOICEMAIL_MESSAGE: 'Please call us back' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'machine_end_beep' });
+
+    expect((await getCallRecord('CA1')).state).toBe('VOICEMAIL_DELIVERED');
+    expect(requests.some(request => String(request.twiml).includes('Please call us back'))).toBe(true);
+  });
+
+  test('treats the call as human after FALLBACK_PASSTHROUGH_START without a machine result', async () => {
+    useFakeClock(T0);
+    const { context } = createContext({ DETECTION_MODE: 'amd_only', NO_SPEECH_TIMEOUT: '600' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+    const { fallbackPassthroughStart } = (await getCallRecord('CA1')).timing;
+
+    jest.setSystemTime(T0 + (fallbackPassthroughStart - 1) * 1000);
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', loop: 'monitoring' });
+    expect((await getCallRecord('CA1')).state).toBe('INITIAL');
+
+    jest.setSystemTime(T0 + fallbackPassthroughStart * 1000);
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', loop: 'monitoring' });
+
+    const record = await getCallRecord('CA1');
+    expect(record.state).toBe('PASSTHROUGH');
+    expect(record.processedActions).toContain('human_passthrough_fallback');
+  });
+});
+
+describe('transcription-error', () => {
+  test.each([
+    ['machine_start', 'AWAITING_BEEP'],
+    ['human', 'PASSTHROUGH']
+  ])('degrades a combined call to amd_only and acts on AMD %s', async (amdResult, state) => {
+    const { context } = createContext({ VOICEMAIL_MESSAGE: 'Please call us back' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: amdResult });
+    expect((await getCallRecord('CA1')).state).toBe('INITIAL');
+
+    await sendWebhook(handlerModule, context, TRANSCRIPTION_ERROR);
+
+    const record = await getCallRecord('CA1');
+    expect(record.detectionMode).toBe('amd_only');
+    expect(record.transcriptionError).toMatchObject({ code: '32655', message: 'Speech engine unavailable' });
+    expect(record.state).toBe(state);
+  });
+
+  test('waits for AMD when it has not reported yet', async () => {
+    const { context } = createContext();
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+    await sendWebhook(handlerModule, context, TRANSCRIPTION_ERROR);
+    expect((await getCallRecord('CA1')).state).toBe('INITIAL');
+
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'human' });
+    expect((await getCallRecord('CA1')).state).toBe('PASSTHROUGH');
+  });
+
+  test('leaves a transcription_only call to the no-speech fallback', async () => {
+    const { context } = createContext({ DETECTION_MODE: 'transcription_only' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'machine_start' });
+    await sendWebhook(handlerModule, context, TRANSCRIPTION_ERROR);
+
+    const record = await getCallRecord('CA1');
+    expect(record.detectionMode).toBe('transcription_only');
+    expect(record.state).toBe('INITIAL');
+  });
+});
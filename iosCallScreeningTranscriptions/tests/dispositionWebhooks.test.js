@@ -0,0 +1,119 @@
+/**
+ * Posting transitions and outcomes to the dialer (see DISPOSITION WEBHOOKS
+ * in the handler)
+ */
+
+const crypto = require('crypto');
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { signWebhookBody, sendDispositionWebhook, flushDispositionWebhooks, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const WEBHOOK_ENV = {
+  DISPOSITION_WEBHOOK_URL: 'https://dialer.example.com/dispositions',
+  DISPOSITION_WEBHOOK_SECRET: 'shh'
+};
+const PAYLOAD = { event: 'call_outcome', callSid: 'CA1', outcome: 'voicemail_left' };
+
+const realFetch = global.fetch;
+const response = status => ({ ok: status >= 200 && status < 300, status });
+const sentEvents = () => global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+
+beforeEach(() => {
+  resetState();
+  global.fetch = jest.fn().mockResolvedValue(response(200));
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+test('signWebhookBody is an HMAC-SHA256 of the timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', 'shh').update('1700000000.{"a":1}').digest('hex');
+  expect(signWebhookBody('shh', 1700000000, '{"a":1}')).toBe(`sha256=${expected}`);
+});
+
+describe('sendDispositionWebhook', () => {
+  test('POSTs the signed event', async () => {
+    expect(await sendDispositionWebhook(createContext(WEBHOOK_ENV).context, PAYLOAD)).toBe(true);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    const headers = options.headers;
+    expect(url).toBe(WEBHOOK_ENV.DISPOSITION_WEBHOOK_URL);
+    expect(JSON.parse(options.body)).toEqual(PAYLOAD);
+    expect(headers['X-Webhook-Signature']).toBe(signWebhookBody('shh', Number(headers['X-Webhook-Timestamp']), options.body));
+    expect(headers['X-Webhook-Delivery']).toEqual(expect.any(String));
+  });
+
+  test('sends nothing without a secret', async () => {
+    const { context } = createContext({ DISPOSITION_WEBHOOK_URL: WEBHOOK_ENV.DISPOSITION_WEBHOOK_URL });
+    expect(await sendDispositionWebhook(context, PAYLOAD)).toBe(false);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('retries 5xx responses and network errors with the same delivery ID', async () => {
+    global.fetch
+      .mockResolvedValueOnce(response(503))
+      .mockRejectedValueOnce(new Error('socket hang up'));
+
+    expect(await sendDispositionWebhook(createContext(WEBHOOK_ENV).context, PAYLOAD)).toBe(true);
+
+    const deliveryIds = global.fetch.mock.calls.map(([, options]) => options.headers['X-Webhook-Delivery']);
+    expect(deliveryIds).toHaveLength(3);
+    expect(new Set(deliveryIds).size).toBe(1);
+  });
+
+  test('does not retry other 4xx responses', async () => {
+    global.fetch.mockResolvedValue(response(400));
+    expect(await sendDispositionWebhook(createContext(WEBHOOK_ENV).context, PAYLOAD)).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after DISPOSITION_WEBHOOK_MAX_ATTEMPTS', async () => {
+    global.fetch.mockResolvedValue(response(500));
+    const { context } = createContext({ ...WEBHOOK_ENV, DISPOSITION_WEBHOOK_MAX_ATTEMPTS: '2' });
+
+    expect(await sendDispositionWebhook(context, PAYLOAD)).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+test('reports each transition and the outcome of a call', async () => {
+  const { context } = createContext({ ...WEBHOOK_ENV, VOICEMAIL_MESSAGE: 'Please call us back' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Please leave a message after the tone', { SequenceId: '1' }));
+  await flushDispositionWebhooks();
+
+  expect(sentEvents()).toEqual([
+    expect.objectContaining({ event: 'state_transition', from: 'INITIAL', to: 'AWAITING_BEEP', action: 'voicemail_direct' }),
+    expect.objectContaining({ event: 'state_transition', from: 'AWAITING_BEEP', to: 'VOICEMAIL_DELIVERED', action: 'voicemail_playback' })
+  ]);
+
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'completed' });
+
+  expect(sentEvents()[2]).toMatchObject({
+    event: 'call_outcome',
+    outcome: 'voicemail_left',
+    transcriptExcerpt: 'Please leave a message after the tone'
+  });
+});
+
+test('a transcription callback answers only once its transitions are delivered', async () => {
+  let deliver;
+  global.fetch = jest.fn(() => new Promise(resolve => { deliver = () => resolve(response(200)); }));
+  const { context } = createContext(WEBHOOK_ENV);
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+
+  let answered = false;
+  const reply = sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Please leave a message', { SequenceId: '1' }))
+    .then(() => { answered = true; });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(answered).toBe(false);
+
+  deliver();
+  await reply;
+  expect(answered).toBe(true);
+});
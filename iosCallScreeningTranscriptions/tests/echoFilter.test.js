@@ -0,0 +1,86 @@
+/**
+ * Not mistaking our own words for the callee's (see SELF-ECHO FILTER in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { filterEcho, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const T0 = Date.parse('2026-01-01T12:00:00.000Z');
+const SCREENING_RESPONSE = "This is Twilio calling to test iOS 26 call screening detection, I will leave a voicemail if you don't answer";
+const PROMPTS = [{ kind: 'screeningResponse', text: SCREENING_RESPONSE, saidAt: T0, until: T0 + 15000 }];
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('filterEcho', () => {
+  test('suppresses a transcript that is all echo, even misheard', () => {
+    expect(filterEcho("I will leave a voicemale if you don't answer", PROMPTS, T0 + 5000, 'en-US'))
+      .toEqual({ text: '', echoOf: ['screeningResponse'], suppressed: true });
+  });
+
+  test('keeps what the callee said after our words, punctuation and all', () => {
+    expect(filterEcho("if you don't answer hello?", PROMPTS, T0 + 5000, 'en-US'))
+      .toEqual({ text: 'hello?', echoOf: ['screeningResponse'], suppressed: false });
+  });
+
+  test('leaves speech that does not line up with the prompt alone', () => {
+    expect(filterEcho('Sorry who is this calling', PROMPTS, T0 + 5000, 'en-US'))
+      .toEqual({ text: 'Sorry who is this calling', echoOf: [], suppressed: false });
+  });
+
+  test('only applies while the prompt is in its window', () => {
+    const echo = 'I will leave a voicemail';
+    expect(filterEcho(echo, PROMPTS, T0 + 16000, 'en-US').suppressed).toBe(false);
+    expect(filterEcho(echo, [], T0 + 5000, 'en-US').suppressed).toBe(false);
+  });
+
+  test('lets a one- or two-word piece of a longer prompt through', () => {
+    expect(filterEcho("don't answer", PROMPTS, T0 + 5000, 'en-US'))
+      .toEqual({ text: "don't answer", echoOf: [], suppressed: false });
+  });
+
+  test('compares a prompt shorter than a run whole', () => {
+    const short = [{ kind: 'voicemailMessage', text: 'Call us', saidAt: T0, until: T0 + 6000 }];
+
+    expect(filterEcho('call us', short, T0 + 2000, 'en-US'))
+      .toEqual({ text: '', echoOf: ['voicemailMessage'], suppressed: true });
+    expect(filterEcho('who is this', short, T0 + 2000, 'en-US').suppressed).toBe(false);
+  });
+
+  test('opens the window a second early, for the gap between our clock and Twilio\'s', () => {
+    const echo = 'I will leave a voicemail';
+    expect(filterEcho(echo, PROMPTS, T0 - 900, 'en-US').suppressed).toBe(true);
+    expect(filterEcho(echo, PROMPTS, T0 - 1100, 'en-US').suppressed).toBe(false);
+  });
+});
+
+test('the echo of our screening response is not taken for a voicemail greeting', async () => {
+  const { context, requests } = createContext({ VOICEMAIL_MESSAGE: 'Please call us back' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'If you record your name and reason for calling, I will see if this person is available', { SequenceId: '1' }));
+  expect((await getCallRecord('CA1')).state).toBe('IOS26_MONITORING');
+
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'I will leave a voicemail if you do not answer', { SequenceId: '2' }));
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('IOS26_MONITORING');
+  expect(record.spokenPrompts).toEqual([expect.objectContaining({ kind: 'screeningResponse' })]);
+  expect(requests.filter(request => String(request.twiml).includes('Please call us back'))).toHaveLength(0);
+});
+
+test('the echo does not count as the callee speaking', async () => {
+  const { context } = createContext();
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'If you record your name and reason for calling, I will see if this person is available', { SequenceId: '1' }));
+  const { lastSpeechAt } = await getCallRecord('CA1');
+
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', "I will leave a voicemail if you don't answer", { SequenceId: '2' }));
+  expect((await getCallRecord('CA1')).lastSpeechAt).toBe(lastSpeechAt);
+
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Hello? Who is this?', { SequenceId: '3', Timestamp: new Date(Date.now() + 1000).toISOString() }));
+  expect((await getCallRecord('CA1')).lastSpeechAt).toBeGreaterThan(lastSpeechAt);
+});
@@ -0,0 +1,71 @@
+/**
+ * Ordering transcription events by SequenceId and timing them by their
+ * webhook Timestamp (see acceptTranscriptionEvent and getEventTime in the handler)
+ */
+
+const {
+  configureStateStore,
+  updateCallRecord,
+  getEventTime,
+  getCallElapsedTime,
+  acceptTranscriptionEvent,
+  resetState
+} = require('../functions/ios26_CallScreeningDetection_Transcriptions')._test;
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const T0 = Date.parse('2026-01-01T12:00:00.000Z');
+
+beforeEach(async () => {
+  resetState();
+  configureStateStore({});
+  await updateCallRecord('CA1', record => {
+    record.state = 'INITIAL';
+    record.startTime = T0;
+  });
+});
+
+describe('getEventTime', () => {
+  test('reads ISO 8601 (transcription) and RFC 2822 (status callback) timestamps', () => {
+    expect(getEventTime({ Timestamp: '2026-01-01T12:00:05.250Z' })).toBe(T0 + 5250);
+    expect(getEventTime({ Timestamp: 'Thu, 01 Jan 2026 12:00:07 +0000' })).toBe(T0 + 7000);
+  });
+
+  test('falls back to now without a usable timestamp', () => {
+    const before = Date.now();
+    expect(getEventTime({})).toBeGreaterThanOrEqual(before);
+    expect(getEventTime({ Timestamp: 'yesterday-ish' })).toBeGreaterThanOrEqual(before);
+  });
+});
+
+describe('getCallElapsedTime', () => {
+  test('measures to when the event happened, not when the webhook arrived', async () => {
+    expect(await getCallElapsedTime('CA1', T0 + 8500)).toBe(8.5);
+  });
+
+  test('never goes negative', async () => {
+    expect(await getCallElapsedTime('CA1', T0 - 1000)).toBe(0);
+  });
+});
+
+describe('acceptTranscriptionEvent', () => {
+  test('drops duplicate and out-of-order SequenceIds within a session', async () => {
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', 1, T0)).toBe(true);
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', 3, T0 + 2000)).toBe(true);
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', 3, T0 + 2000)).toBe(false);
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', 2, T0 + 1000)).toBe(false);
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', 4, T0 + 3000)).toBe(true);
+  });
+
+  test('numbers each transcription session separately', async () => {
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', 5, T0)).toBe(true);
+    expect(await acceptTranscriptionEvent('CA1', 'GT2', 1, T0 + 1000)).toBe(true);
+  });
+
+  test('falls back to the timestamp when there is no SequenceId', async () => {
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', null, T0 + 2000)).toBe(true);
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', null, T0 + 1000)).toBe(false);
+    expect(await acceptTranscriptionEvent('CA1', 'GT1', null, T0 + 3000)).toBe(true);
+  });
+});
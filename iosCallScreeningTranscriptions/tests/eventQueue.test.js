@@ -0,0 +1,90 @@
+/**
+ * Per-call event queue and partial coalescing (see PER-CALL EVENT QUEUE in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { enqueueCallEvent, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('enqueueCallEvent', () => {
+  test('runs the events of one call one at a time, in arrival order', async () => {
+    const order = [];
+    const slowTask = name => async () => {
+      order.push(`${name} start`);
+      await tick();
+      order.push(`${name} end`);
+    };
+
+    await Promise.all([
+      enqueueCallEvent('CA1', { kind: 'first' }, slowTask('first')),
+      enqueueCallEvent('CA1', { kind: 'second' }, slowTask('second'))
+    ]);
+
+    expect(order).toEqual(['first start', 'first end', 'second start', 'second end']);
+  });
+
+  test('runs the events of different calls side by side', async () => {
+    const order = [];
+    const slowTask = name => async () => {
+      order.push(`${name} start`);
+      await tick();
+      order.push(`${name} end`);
+    };
+
+    await Promise.all([
+      enqueueCallEvent('CA1', { kind: 'event' }, slowTask('CA1')),
+      enqueueCallEvent('CA2', { kind: 'event' }, slowTask('CA2'))
+    ]);
+
+    expect(order.slice(0, 2)).toEqual(['CA1 start', 'CA2 start']);
+  });
+
+  test('skips a waiting partial once a newer event has arrived, but never a final', async () => {
+    const processed = [];
+    const task = name => async () => {
+      processed.push(name);
+      await tick();
+    };
+
+    const running = enqueueCallEvent('CA1', { kind: 'partial 1', coalesce: true }, task('partial 1'));
+    await tick();
+    await Promise.all([
+      running,
+      enqueueCallEvent('CA1', { kind: 'partial 2', coalesce: true }, task('partial 2')),
+      enqueueCallEvent('CA1', { kind: 'final' }, task('final')),
+      enqueueCallEvent('CA1', { kind: 'partial 3', coalesce: true }, task('partial 3'))
+    ]);
+
+    // partial 1 was already running; partial 2 was superseded while it waited
+    expect(processed).toEqual(['partial 1', 'final', 'partial 3']);
+  });
+
+  test('keeps going after a task fails', async () => {
+    const failing = enqueueCallEvent('CA1', { kind: 'failing' }, async () => { throw new Error('boom'); });
+    const next = enqueueCallEvent('CA1', { kind: 'next' }, async () => 'ran');
+
+    await expect(failing).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ran');
+  });
+});
+
+describe('a burst of partials on one instance', () => {
+  test('plays the iOS 26 response only once', async () => {
+    const { context, requests } = createContext();
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+
+    const preamble = 'Hi, if you record your name and reason for calling';
+    await Promise.all([1, 2, 3].map(sequence => sendWebhook(handlerModule, context,
+      transcriptEvent('CA1', preamble, { Final: 'false', SequenceId: String(sequence) }))));
+
+    expect(requests.filter(request => request.twiml && request.twiml.includes('<Say'))).toHaveLength(1);
+  });
+});
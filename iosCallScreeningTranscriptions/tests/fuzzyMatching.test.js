@@ -0,0 +1,141 @@
+/**
+ * Fuzzy pattern matching (see FUZZY MATCHING in the handler)
+ *
+ * Runs against the real pattern library in assets/, so the tolerances are the
+ * ones in its settings.tolerance: 0.3 for ios26 and voicemail, 0.25 for
+ * intermediate, 0 (exact only) for human.
+ */
+
+const {
+  normalizeForMatching,
+  phoneticKey,
+  wordDistance,
+  fuzzyPhraseDistance,
+  findPatternMatch
+} = require('../functions/ios26_CallScreeningDetection_Transcriptions')._test;
+const { silenceLogs } = require('./helpers');
+
+const words = text => normalizeForMatching(text).split(' ');
+
+silenceLogs();
+
+describe('normalizeForMatching', () => {
+  test('lowercases, drops apostrophes and turns punctuation into spaces', () => {
+    expect(normalizeForMatching("Hi, if you record you're NAME...")).toBe('hi if you record youre name');
+  });
+
+  test('gives English contractions and number words one spelling', () => {
+    expect(normalizeForMatching('I cannot come, one moment')).toBe('i cant come 1 moment');
+    expect(normalizeForMatching("I can't come, 1 moment")).toBe('i cant come 1 moment');
+  });
+
+  test('removes accents but leaves other languages alone', () => {
+    expect(normalizeForMatching('Está en el buzón de voz', 'es-US')).toBe('esta en el buzon de voz');
+    expect(normalizeForMatching('one', 'es-US')).toBe('one');
+  });
+});
+
+describe('phoneticKey', () => {
+  test('gives words that sound alike the same key', () => {
+    expect(phoneticKey('massage')).toBe('M220');
+    expect(phoneticKey('message')).toBe('M220');
+    expect(phoneticKey('youre')).toBe(phoneticKey('your'));
+  });
+
+  test('keeps different words apart', () => {
+    expect(phoneticKey('collin')).not.toBe(phoneticKey('calling'));
+  });
+
+  test('returns digits-only words as they are', () => {
+    expect(phoneticKey('42')).toBe('42');
+  });
+});
+
+describe('wordDistance', () => {
+  test('costs 0 for the same word', () => {
+    expect(wordDistance('message', 'message')).toBe(0);
+  });
+
+  test('costs 0.25 for a word that sounds the same', () => {
+    expect(wordDistance('message', 'massage')).toBe(0.25);
+  });
+
+  test('costs 0.5 for a word spelled almost the same', () => {
+    expect(wordDistance('calling', 'collin')).toBe(0.5);
+    expect(wordDistance('available', 'unavailable')).toBe(0.5);
+  });
+
+  test('costs 1 for a different word', () => {
+    expect(wordDistance('name', 'phone')).toBe(1);
+  });
+});
+
+describe('fuzzyPhraseDistance', () => {
+  test('only counts the words the phrase lines up with', () => {
+    expect(fuzzyPhraseDistance(words('leave a message'), words('um please leave a massage now'))).toBe(0.25);
+  });
+
+  test('costs 1 for a missing or an extra word', () => {
+    expect(fuzzyPhraseDistance(words('leave a message'), words('leave message'))).toBe(1);
+    expect(fuzzyPhraseDistance(words('leave a message'), words('leave a long message'))).toBe(1);
+  });
+
+  test('costs every phrase word when nothing lines up', () => {
+    expect(fuzzyPhraseDistance(words('reason for calling'), words('hello there'))).toBe(3);
+  });
+});
+
+describe('findPatternMatch', () => {
+  test('matches "record you\'re name" as the iOS 26 preamble', () => {
+    const match = findPatternMatch('ios26', "record you're name", 'en-US');
+    expect(match.id).toBe('ios26.record-your-name');
+    expect(match.distance).toBeGreaterThan(0);
+    expect(match.distance).toBeLessThanOrEqual(0.3);
+  });
+
+  test('matches "reason for collin" as the iOS 26 preamble', () => {
+    const match = findPatternMatch('ios26', 'reason for collin', 'en-US');
+    expect(match.id).toBe('ios26.reason-for-calling');
+    expect(match.distance).toBeGreaterThan(0);
+    expect(match.distance).toBeLessThanOrEqual(0.3);
+  });
+
+  test('matches "leave a massage" as voicemail', () => {
+    const match = findPatternMatch('voicemail', 'leave a massage', 'en-US');
+    expect(match.id).toBe('voicemail.leave-a-message');
+    expect(match.distance).toBeGreaterThan(0);
+    expect(match.distance).toBeLessThanOrEqual(0.3);
+  });
+
+  test('prefers an exact match (distance 0)', () => {
+    const match = findPatternMatch('voicemail', 'Please leave a massage after the tone', 'en-US');
+    expect(match.id).toBe('voicemail.after-the-tone');
+    expect(match.distance).toBe(0);
+  });
+
+  test('does not match a different word in an iOS 26 phrase (over 0.3 per word)', () => {
+    expect(findPatternMatch('ios26', 'record the name', 'en-US')).toBeNull();
+    expect(findPatternMatch('ios26', 'what is the reason for this meeting', 'en-US')).toBeNull();
+  });
+
+  test('does not match everyday speech that shares words with a voicemail phrase', () => {
+    expect(findPatternMatch('voicemail', 'I will leave a package at the door', 'en-US')).toBeNull();
+    expect(findPatternMatch('voicemail', 'can you leave a mess in the garage', 'en-US')).toBeNull();
+  });
+
+  test('keeps intermediate phrases within their tighter tolerance (0.25)', () => {
+    expect(findPatternMatch('intermediate', 'please stand on the line', 'en-US').id).toBe('intermediate.please-stay-on-the-line');
+    expect(findPatternMatch('intermediate', 'please stay in the car', 'en-US')).toBeNull();
+  });
+
+  test('only matches human cues exactly (tolerance 0)', () => {
+    expect(findPatternMatch('human', 'wait', 'en-US').id).toBe('human.wait');
+    expect(findPatternMatch('human', 'weight', 'en-US')).toBeNull();
+    expect(findPatternMatch('human', 'who is these', 'en-US')).toBeNull();
+  });
+
+  test('only matches phrases of one or two words exactly', () => {
+    expect(findPatternMatch('voicemail', 'please leaf', 'en-US')).toBeNull();
+    expect(findPatternMatch('voicemail', 'not availabel', 'en-US')).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Shared test helpers - a fake Twilio client and a way to drive the handler
+ * with webhooks, without a real call
+ */
+
+/**
+ * Fake Twilio REST client that records every call update
+ *
+ * @param {Object[]} requests - Every update is pushed here ({ callSid, ...params }),
+ *   and every call created ({ created: 'CA_CREATED_<n>', ...params })
+ * @param {Object} [callInfo] - What calls(sid).fetch() returns
+ * @returns {Object} Client with the parts of the API the handler uses
+ */
+function createTwilioClient(requests, callInfo = {}) {
+  const calls = callSid => ({
+    fetch: async () => ({ status: 'in-progress', startTime: new Date(), dateUpdated: new Date(), ...callInfo }),
+    update: async params => {
+      requests.push({ callSid, ...params });
+      return {};
+    },
+    transcriptions: name => ({
+      update: async params => {
+        requests.push({ callSid, transcription: name, ...params });
+        return {};
+      }
+    })
+  });
+  calls.create = async params => {
+    const sid = `CA_CREATED_${requests.filter(request => request.created).length + 1}`;
+    requests.push({ created: sid, ...params });
+    return { sid };
+  };
+  return { calls };
+}
+
+/**
+ * Twilio Runtime context for the handler
+ *
+ * @param {Object} [env] - Environment variables (CALL_STATE_STORE, ...)
+ * @param {Object} [callInfo] - What calls(sid).fetch() returns
+ * @returns {Object} { context, requests } - requests lists every REST update made
+ */
+function createContext(env = {}, callInfo = {}) {
+  const requests = [];
+  const context = {
+    DOMAIN_NAME: 'example.twil.io',
+    getTwilioClient: () => createTwilioClient(requests, callInfo),
+    ...env
+  };
+  return { context, requests };
+}
+
+/**
+ * Send one webhook to the handler
+ *
+ * @param {Object} handlerModule - The function module
+ * @param {Object} context - From createContext()
+ * @param {Object} event - Webhook parameters
+ * @returns {Promise<string>} The TwiML returned
+ */
+function sendWebhook(handlerModule, context, event) {
+  return new Promise((resolve, reject) => {
+    handlerModule.handler(context, event, (error, response) => {
+      if (error) reject(error);
+      else resolve(response ? response.toString() : '');
+    });
+  });
+}
+
+/**
+ * A transcription-content webhook
+ *
+ * @param {string} callSid - Call the transcript belongs to
+ * @param {string} text - What was heard
+ * @param {Object} [extra] - More webhook parameters (Final, SequenceId, ...)
+ * @returns {Object} Webhook parameters
+ */
+function transcriptEvent(callSid, text, extra = {}) {
+  return {
+    CallSid: callSid,
+    TranscriptionEvent: 'transcription-content',
+    TranscriptionSid: 'GT00000000000000000000000000000001',
+    TranscriptionData: JSON.stringify({ transcript: text, confidence: 0.9 }),
+    Final: 'true',
+    ...extra
+  };
+}
+
+/**
+ * Fake only the clock (Date.now), so the handler's timers and retries still run
+ *
+ * Call jest.useRealTimers() after each test that uses it.
+ *
+ * @param {number} now - Time to start at (ms since epoch); move it with jest.setSystemTime()
+ */
+function useFakeClock(now) {
+  jest.useFakeTimers({
+    now,
+    doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+      'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout']
+  });
+}
+
+/**
+ * Keep the handler's logging out of the test output
+ */
+function silenceLogs() {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+}
+
+module.exports = {
+  createTwilioClient,
+  createContext,
+  sendWebhook,
+  transcriptEvent,
+  useFakeClock,
+  silenceLogs
+};
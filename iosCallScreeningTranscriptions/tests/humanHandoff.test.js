@@ -0,0 +1,102 @@
+/**
+ * Where a detected human goes (see HUMAN HANDOFF in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { resolveHumanHandoff, buildPassthroughTwiml, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const TIMING = { actionPauseSeconds: 300 };
+const WORKFLOW_SID = `WW${'0'.repeat(32)}`;
+const DETAILS = {
+  callSid: 'CA1',
+  scenario: 'scenario2',
+  screened: true,
+  screener: 'ios26',
+  amdResult: 'machine_start',
+  transcript: 'Hi, this is Sam'
+};
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('resolveHumanHandoff', () => {
+  test('defaults to pause', () => {
+    expect(resolveHumanHandoff({})).toEqual({ mode: 'pause', target: null, warmAgent: null });
+  });
+
+  test('takes the environment, overridden per call by the request', () => {
+    const context = { PASSTHROUGH_MODE: 'dial', PASSTHROUGH_TARGET: '+15551234567' };
+
+    expect(resolveHumanHandoff(context)).toEqual({ mode: 'dial', target: '+15551234567', warmAgent: null });
+    expect(resolveHumanHandoff(context, { PASSTHROUGH_MODE: 'enqueue', PASSTHROUGH_TARGET: WORKFLOW_SID }))
+      .toEqual({ mode: 'enqueue', target: WORKFLOW_SID, warmAgent: null });
+  });
+
+  test('ignores an unknown mode', () => {
+    expect(resolveHumanHandoff({ PASSTHROUGH_MODE: 'teleport' })).toEqual({ mode: 'pause', target: null, warmAgent: null });
+  });
+
+  test.each([
+    ['dial', '555-1234'],
+    ['enqueue', 'WW123'],
+    ['redirect', 'ftp://example.com/agent']
+  ])('falls back to pause when %s gets target "%s"', (mode, target) => {
+    expect(resolveHumanHandoff({ PASSTHROUGH_MODE: mode, PASSTHROUGH_TARGET: target })).toEqual({ mode: 'pause', target: null, warmAgent: null });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`PASSTHROUGH_MODE=${mode} needs a valid PASSTHROUGH_TARGET`));
+  });
+});
+
+describe('buildPassthroughTwiml', () => {
+  test('stops transcription and pauses by default', () => {
+    const twiml = buildPassthroughTwiml(TIMING, { mode: 'pause', target: null }, DETAILS).toString();
+
+    expect(twiml).toContain('<Stop>');
+    expect(twiml).toContain('<Pause length="300"/>');
+  });
+
+  test('dials a number without any context', () => {
+    const twiml = buildPassthroughTwiml(TIMING, { mode: 'dial', target: '+15551234567' }, DETAILS).toString();
+    expect(twiml).toContain('<Dial><Number>+15551234567</Number></Dial>');
+  });
+
+  test('passes the context to a SIP URI as headers', () => {
+    const twiml = buildPassthroughTwiml(TIMING, { mode: 'dial', target: 'sip:agent@example.com' }, DETAILS).toString();
+
+    expect(twiml).toContain('<Sip>sip:agent@example.com?X-Scenario=scenario2&amp;X-Screened=true&amp;X-Screener=ios26&amp;X-Amd-Result=machine_start&amp;X-Transcript=Hi%2C%20this%20is%20Sam</Sip>');
+  });
+
+  test('passes the context to TaskRouter as task attributes', () => {
+    const twiml = buildPassthroughTwiml(TIMING, { mode: 'enqueue', target: WORKFLOW_SID }, DETAILS).toString();
+    const attributes = JSON.parse(twiml.match(/<Task>(.*)<\/Task>/)[1].replace(/&quot;/g, '"'));
+
+    expect(twiml).toContain(`<Enqueue workflowSid="${WORKFLOW_SID}">`);
+    expect(attributes).toEqual({
+      call_sid: 'CA1',
+      scenario: 'scenario2',
+      screened: true,
+      screener: 'ios26',
+      amd_result: 'machine_start',
+      transcript: 'Hi, this is Sam'
+    });
+  });
+
+  test('passes the context to a redirect as query parameters, leaving out what is unknown', () => {
+    const details = { ...DETAILS, screened: false, screener: null };
+    const twiml = buildPassthroughTwiml(TIMING, { mode: 'redirect', target: 'https://example.com/agent?team=a' }, details).toString();
+
+    expect(twiml).toContain('<Redirect method="POST">https://example.com/agent?team=a&amp;scenario=scenario2&amp;screened=false&amp;amdResult=machine_start&amp;transcript=Hi%2C%20this%20is%20Sam</Redirect>');
+  });
+});
+
+test('a detected human is dialed through to PASSTHROUGH_TARGET', async () => {
+  const { context, requests } = createContext({ DETECTION_MODE: 'amd_only', PASSTHROUGH_MODE: 'dial', PASSTHROUGH_TARGET: '+15551234567' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'human' });
+
+  expect((await getCallRecord('CA1')).state).toBe('PASSTHROUGH');
+  expect(requests).toEqual([expect.objectContaining({ twiml: expect.stringContaining('<Number>+15551234567</Number>') })]);
+});
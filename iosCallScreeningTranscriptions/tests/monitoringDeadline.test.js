@@ -0,0 +1,106 @@
+/**
+ * The IOS26_MONITORING deadline and its fallbacks (see MONITORING LOOP in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, useFakeClock, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const T0 = Date.parse('2026-01-01T12:00:00.000Z');
+const PREAMBLE = "Hi, if you record your name and reason for calling, I'll see if this person is available";
+const LOOP = { CallSid: 'CA1', loop: 'monitoring' };
+
+/**
+ * Start a call and get it to IOS26_MONITORING (our response has been played)
+ *
+ * Silence never triggers here (NO_SPEECH_TIMEOUT is 10 minutes): these tests
+ * are about the deadline.
+ */
+async function startMonitoring(env = {}) {
+  const { context, requests } = createContext({ IOS26_MONITORING_TIMEOUT: '45', NO_SPEECH_TIMEOUT: '600', ...env });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', PREAMBLE));
+  expect((await getCallRecord('CA1')).state).toBe('IOS26_MONITORING');
+  return { context, requests };
+}
+
+beforeEach(() => {
+  resetState();
+  useFakeClock(T0);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('our response pauses until the deadline, then redirects to the monitoring loop', async () => {
+  const { requests } = await startMonitoring();
+
+  const responseTwiml = requests.find(request => request.twiml && request.twiml.includes('<Say')).twiml;
+  expect(responseTwiml).toContain('<Pause length="45"/>');
+  expect(responseTwiml).toContain('?loop=monitoring</Redirect>');
+});
+
+test('keeps listening until IOS26_MONITORING_TIMEOUT has passed', async () => {
+  const { context } = await startMonitoring();
+
+  jest.setSystemTime(T0 + 30 * 1000);
+  const twiml = await sendWebhook(handlerModule, context, LOOP);
+
+  // Pauses just long enough to reach the deadline
+  expect(twiml).toContain('<Pause length="15"/>');
+  expect((await getCallRecord('CA1')).state).toBe('IOS26_MONITORING');
+});
+
+test('leaves our voicemail message by default, once the beep comes', async () => {
+  const { context } = await startMonitoring({ VOICEMAIL_MESSAGE: 'Please call us back' });
+
+  jest.setSystemTime(T0 + 45 * 1000);
+  const twiml = await sendWebhook(handlerModule, context, LOOP);
+
+  expect(twiml).toContain('?loop=monitoring</Redirect>');
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('AWAITING_BEEP');
+  expect(record.disposition).toBe('ios26_timeout');
+
+  jest.setSystemTime(T0 + 55 * 1000);
+  expect(await sendWebhook(handlerModule, context, LOOP)).toContain('Please call us back</Say>');
+  expect((await getCallRecord('CA1')).state).toBe('VOICEMAIL_DELIVERED');
+});
+
+test('hangs up with IOS26_TIMEOUT_ACTION=hangup', async () => {
+  const { context } = await startMonitoring({ IOS26_TIMEOUT_ACTION: 'hangup' });
+
+  jest.setSystemTime(T0 + 45 * 1000);
+  expect(await sendWebhook(handlerModule, context, LOOP)).toContain('<Hangup/>');
+  expect((await getCallRecord('CA1')).state).toBe('ENDED');
+});
+
+test('transfers to TRANSFER_NUMBER, and hangs up instead when there is none', async () => {
+  const { context } = await startMonitoring({ IOS26_TIMEOUT_ACTION: 'transfer', TRANSFER_NUMBER: '+15550001111' });
+  jest.setSystemTime(T0 + 45 * 1000);
+  expect(await sendWebhook(handlerModule, context, LOOP)).toContain('<Dial>+15550001111</Dial>');
+
+  resetState();
+  jest.setSystemTime(T0);
+  const { context: noNumber } = await startMonitoring({ IOS26_TIMEOUT_ACTION: 'transfer' });
+  jest.setSystemTime(T0 + 45 * 1000);
+  expect(await sendWebhook(handlerModule, noNumber, LOOP)).toContain('<Hangup/>');
+});
+
+test('does nothing once a voicemail or human decision has been made', async () => {
+  const { context } = await startMonitoring();
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Please leave a message after the tone', {
+    TranscriptionSid: 'GT00000000000000000000000000000002',
+    transcriptionName: 'post-ios26-monitoring'
+  }));
+  expect((await getCallRecord('CA1')).state).toBe('VOICEMAIL_DELIVERED');
+
+  jest.setSystemTime(T0 + 45 * 1000);
+  const twiml = await sendWebhook(handlerModule, context, LOOP);
+
+  expect(twiml).not.toContain('<Say');
+  expect((await getCallRecord('CA1')).disposition).not.toBe('ios26_timeout');
+});
@@ -0,0 +1,78 @@
+/**
+ * Falling back on AMD when the callee says nothing (see MONITORING LOOP in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, useFakeClock, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const T0 = Date.parse('2026-01-01T12:00:00.000Z');
+const LOOP = { CallSid: 'CA1', loop: 'monitoring' };
+
+/**
+ * Start a call that stays silent, with an optional AMD result
+ */
+async function startSilentCall(amdResult) {
+  const { context } = createContext({ NO_SPEECH_TIMEOUT: '20', VOICEMAIL_MESSAGE: 'Please call us back' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  if (amdResult) {
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: amdResult });
+  }
+  return context;
+}
+
+beforeEach(() => {
+  resetState();
+  useFakeClock(T0);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('the first loop pause never outlasts NO_SPEECH_TIMEOUT', async () => {
+  const { context } = createContext({ NO_SPEECH_TIMEOUT: '20' });
+  const twiml = await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+
+  expect(twiml).toContain('<Pause length="20"/>');
+  expect(twiml).toContain('?loop=monitoring</Redirect>');
+});
+
+test('keeps listening while the silence is shorter than NO_SPEECH_TIMEOUT', async () => {
+  const context = await startSilentCall('unknown');
+
+  jest.setSystemTime(T0 + 12 * 1000);
+  const twiml = await sendWebhook(handlerModule, context, LOOP);
+
+  expect(twiml).toContain('<Pause length="8"/>');
+  expect((await getCallRecord('CA1')).state).toBe('INITIAL');
+});
+
+test('counts silence from the last thing the callee said', async () => {
+  const context = await startSilentCall('unknown');
+  jest.setSystemTime(T0 + 15 * 1000);
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'mm', { Timestamp: new Date(T0 + 15 * 1000).toISOString() }));
+
+  jest.setSystemTime(T0 + 25 * 1000);
+  await sendWebhook(handlerModule, context, LOOP);
+
+  expect((await getCallRecord('CA1')).disposition).toBeNull();
+});
+
+test.each([
+  ['human', 'PASSTHROUGH', twiml => expect(twiml).not.toContain('<Hangup/>')],
+  ['machine_start', 'AWAITING_BEEP', twiml => expect(twiml).toContain('?loop=monitoring</Redirect>')],
+  ['unknown', 'ENDED', twiml => expect(twiml).toContain('<Hangup/>')],
+  [null, 'ENDED', twiml => expect(twiml).toContain('<Hangup/>')]
+])('after NO_SPEECH_TIMEOUT with AMD %s, the call ends up %s', async (amdResult, state, checkTwiml) => {
+  const context = await startSilentCall(amdResult);
+
+  jest.setSystemTime(T0 + 20 * 1000);
+  checkTwiml(await sendWebhook(handlerModule, context, LOOP));
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe(state);
+  expect(record.disposition).toBe('no_speech');
+});
@@ -0,0 +1,105 @@
+/**
+ * The detection pattern library asset (see PATTERN LIBRARY in the handler)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  validatePatternLibrary,
+  findPatternMatch,
+  detectVoicemailPatterns,
+  resetState
+} = require('../functions/ios26_CallScreeningDetection_Transcriptions')._test;
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const LIBRARY_FILE = path.join(__dirname, '..', 'assets', 'detection-patterns.private.json');
+const readLibrary = () => JSON.parse(fs.readFileSync(LIBRARY_FILE, 'utf8'));
+
+/**
+ * Serve a pattern library the way Twilio Runtime serves private assets
+ */
+function useRuntimeLibrary(library) {
+  global.Runtime = {
+    getAssets: () => ({ '/detection-patterns.json': { open: () => JSON.stringify(library) } })
+  };
+}
+
+beforeEach(() => {
+  resetState();
+});
+
+afterEach(() => {
+  delete global.Runtime;
+});
+
+describe('validatePatternLibrary', () => {
+  test('accepts the library shipped in assets/', () => {
+    expect(validatePatternLibrary(readLibrary())).toEqual([]);
+  });
+
+  test('reports every problem, not just the first', () => {
+    const library = readLibrary();
+    const english = library.locales['en-US'].categories;
+    library.schemaVersion = 1;
+    library.version = '';
+    english.intermediate = [];
+    english.voicemail.push({ id: 'ios26.full-preamble', phrase: 'call me back' });
+    english.human.push({ id: 'human.blank', phrase: ' ' });
+    english.fax = [{ id: 'fax.tone', phrase: 'beeeep' }];
+
+    const errors = validatePatternLibrary(library);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'schemaVersion must be 2 (got 1)',
+      'version must be a non-empty string',
+      'locales.en-US.categories.intermediate must be a non-empty array',
+      expect.stringContaining('"ios26.full-preamble" is used more than once'),
+      expect.stringContaining('.phrase must be a string with at least one letter or digit'),
+      expect.stringContaining('locales.en-US.categories.fax is not a known category')
+    ]));
+    expect(errors).toHaveLength(6);
+  });
+
+  test('rejects something that is not a library at all', () => {
+    expect(validatePatternLibrary(null)).toEqual(['library must be a JSON object']);
+  });
+});
+
+describe('findPatternMatch', () => {
+  test('returns the first matching pattern of the category, case-insensitively', () => {
+    expect(findPatternMatch('ios26', 'Hi, if you RECORD YOUR NAME and reason for calling'))
+      .toMatchObject({ id: 'ios26.full-preamble' });
+    expect(findPatternMatch('voicemail', 'Hi, if you record your name and reason for calling')).toBeNull();
+  });
+
+  test('matches and logs a text once, however often it is asked about', () => {
+    const text = 'Sorry I missed you, please leave a message';
+    const first = findPatternMatch('voicemail', text);
+
+    expect(findPatternMatch('voicemail', text)).toBe(first);
+    expect(findPatternMatch('voicemail', 'sorry i missed you please leave a message')).toBe(first);
+    expect(console.log.mock.calls.filter(([line]) => String(line).startsWith('🔎'))).toHaveLength(1);
+
+    findPatternMatch('voicemail', `${text} after the tone`);
+    expect(console.log.mock.calls.filter(([line]) => String(line).startsWith('🔎'))).toHaveLength(2);
+  });
+
+  test('prefers the Runtime asset over the repository file', () => {
+    const library = readLibrary();
+    library.locales['en-US'].categories.ios26 = [{ id: 'ios26.custom', phrase: 'Who Is Calling' }];
+    useRuntimeLibrary(library);
+
+    expect(findPatternMatch('ios26', 'who is calling please')).toMatchObject({ id: 'ios26.custom' });
+    expect(findPatternMatch('ios26', 'record your name and reason for calling')).toBeNull();
+  });
+
+  test('refuses to run with an invalid library', () => {
+    const library = readLibrary();
+    delete library.locales['en-US'].categories.voicemail;
+    useRuntimeLibrary(library);
+
+    expect(() => detectVoicemailPatterns('leave a message')).toThrow('locales.en-US.categories.voicemail must be a non-empty array');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Which transcription results may act on a decision (see RESULT POLICY in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { resolveResultPolicy, checkResultPolicy, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const DEFAULT_POLICY = {
+  partialDecisions: ['human', 'ios26'],
+  minConfidence: { human: 0, ios26: 0, voicemail: 0.5 }
+};
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('resolveResultPolicy', () => {
+  test('lets partial results act on human and iOS 26 decisions only', () => {
+    expect(resolveResultPolicy({})).toEqual(DEFAULT_POLICY);
+  });
+
+  test('request parameters override the environment', () => {
+    const policy = resolveResultPolicy(
+      { PARTIAL_RESULT_DECISIONS: 'human', VOICEMAIL_MIN_CONFIDENCE: '0.8' },
+      { PARTIAL_RESULT_DECISIONS: 'none', HUMAN_MIN_CONFIDENCE: '0.3' }
+    );
+    expect(policy).toEqual({ partialDecisions: [], minConfidence: { human: 0.3, ios26: 0, voicemail: 0.8 } });
+  });
+
+  test('ignores unknown decisions and confidences outside 0-1', () => {
+    expect(resolveResultPolicy({ PARTIAL_RESULT_DECISIONS: 'human,fax', IOS26_MIN_CONFIDENCE: '1.5' })).toEqual(DEFAULT_POLICY);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('checkResultPolicy', () => {
+  test('holds a voicemail decision from a partial result', () => {
+    expect(checkResultPolicy(DEFAULT_POLICY, 'voicemail', { isFinal: false, confidence: 0.9 }))
+      .toMatchObject({ hold: true });
+    expect(checkResultPolicy(DEFAULT_POLICY, 'human', { isFinal: false, confidence: 0.9 })).toBeNull();
+  });
+
+  test('refuses a final result below the decision\'s minimum confidence, without holding it', () => {
+    expect(checkResultPolicy(DEFAULT_POLICY, 'voicemail', { isFinal: true, confidence: 0.4 }))
+      .toEqual({ hold: false, reason: 'confidence 0.40 is below VOICEMAIL_MIN_CONFIDENCE 0.5' });
+    expect(checkResultPolicy(DEFAULT_POLICY, 'voicemail', { isFinal: true, confidence: 0.5 })).toBeNull();
+  });
+
+  test('checks a confidence of 0 against the minimum', () => {
+    expect(checkResultPolicy(DEFAULT_POLICY, 'voicemail', { isFinal: true, confidence: 0 }))
+      .toEqual({ hold: false, reason: 'confidence 0.00 is below VOICEMAIL_MIN_CONFIDENCE 0.5' });
+    expect(checkResultPolicy(DEFAULT_POLICY, 'human', { isFinal: true, confidence: 0 })).toBeNull();
+  });
+
+  test.each([undefined, null, '', 'high'])('skips the confidence check for confidence %p', confidence => {
+    expect(checkResultPolicy(DEFAULT_POLICY, 'voicemail', { isFinal: true, confidence })).toBeNull();
+  });
+});
+
+describe('voicemail decisions through the handler', () => {
+  const voicemailResult = (text, Final, confidence, SequenceId) => transcriptEvent('CA1', text, {
+    Final,
+    SequenceId,
+    TranscriptionData: JSON.stringify({ transcript: text, confidence })
+  });
+
+  async function startCall() {
+    const { context, requests } = createContext({ VOICEMAIL_MESSAGE: 'Please call us back' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+    return { context, requests };
+  }
+
+  test('waits for the final result before leaving voicemail', async () => {
+    const { context, requests } = await startCall();
+
+    await sendWebhook(handlerModule, context, voicemailResult('Please leave a message', 'false', 0, '1'));
+    const held = await getCallRecord('CA1');
+    expect(held.state).toBe('INITIAL');
+    expect(held.heldDecision).toMatchObject({ decision: 'voicemail', scenario: 'scenario4' });
+    expect(requests).toHaveLength(0);
+
+    await sendWebhook(handlerModule, context, voicemailResult('Please leave a message after the tone', 'true', 0.9, '2'));
+    const record = await getCallRecord('CA1');
+    expect(record.state).toBe('VOICEMAIL_DELIVERED');
+    expect(record.heldDecision).toBeNull();
+  });
+
+  test('drops a held decision the final result does not confirm', async () => {
+    const { context, requests } = await startCall();
+
+    await sendWebhook(handlerModule, context, voicemailResult('Please leave a message', 'false', 0, '1'));
+    await sendWebhook(handlerModule, context, voicemailResult('Please leave a message', 'true', 0.2, '2'));
+
+    const record = await getCallRecord('CA1');
+    expect(record.state).toBe('INITIAL');
+    expect(record.heldDecision).toBeNull();
+    expect(requests).toHaveLength(0);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('did not confirm held voicemail decision'));
+  });
+
+  test('keeps listening when the final result scores 0', async () => {
+    const { context, requests } = await startCall();
+
+    await sendWebhook(handlerModule, context, voicemailResult('Please leave a message', 'true', 0, '1'));
+
+    expect((await getCallRecord('CA1')).state).toBe('INITIAL');
+    expect(requests).toHaveLength(0);
+  });
+
+  test('keeps listening when the final result is not sure enough', async () => {
+    const { context, requests } = await startCall();
+
+    await sendWebhook(handlerModule, context, voicemailResult('Please leave a message', 'true', 0.3, '1'));
+
+    expect((await getCallRecord('CA1')).state).toBe('INITIAL');
+    expect(requests).toHaveLength(0);
+  });
+});
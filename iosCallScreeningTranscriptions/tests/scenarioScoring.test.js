@@ -0,0 +1,101 @@
+/**
+ * Scenario scores and their thresholds (see SCORE THRESHOLDS and SCENARIO
+ * SCORING in the handler)
+ */
+
+const {
+  resolveTimingProfile,
+  resolveScoreThresholds,
+  collectScenarioSignals,
+  classifyScenario,
+  resetState
+} = require('../functions/ios26_CallScreeningDetection_Transcriptions')._test;
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const DEFAULTS = { human: 0.5, voicemail: 0.5, ios26: 0.5 };
+
+/**
+ * Classify one transcript on an en-US call with the default timing profile
+ */
+function classify(transcript, { state = 'INITIAL', elapsedTime = 10, amdResult = null, confidence = 0.9, accumulated = transcript, thresholds = DEFAULTS } = {}) {
+  const timing = resolveTimingProfile({});
+  const signals = collectScenarioSignals({ state, elapsedTime, timing, amdResult, language: 'en-US', confidence }, transcript, accumulated);
+  return classifyScenario(signals, thresholds);
+}
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('resolveScoreThresholds', () => {
+  test('defaults to 0.5 for every decision', () => {
+    expect(resolveScoreThresholds({})).toEqual(DEFAULTS);
+  });
+
+  test('request parameters override the environment', () => {
+    const thresholds = resolveScoreThresholds(
+      { HUMAN_SCORE_THRESHOLD: '0.8', VOICEMAIL_SCORE_THRESHOLD: '1' },
+      { VOICEMAIL_SCORE_THRESHOLD: '0.7' }
+    );
+    expect(thresholds).toEqual({ human: 0.8, voicemail: 0.7, ios26: 0.5 });
+  });
+
+  test('ignores anything that is not a number above 0', () => {
+    expect(resolveScoreThresholds({ HUMAN_SCORE_THRESHOLD: '0', IOS26_SCORE_THRESHOLD: 'high' })).toEqual(DEFAULTS);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('classifyScenario', () => {
+  test('a clearly heard iOS 26 preamble wins, and vetoes human and voicemail', () => {
+    const result = classify('If you record your name and reason for calling, I will see if this person is available', { amdResult: 'machine_start' });
+
+    expect(result.scenario).toBe('scenario1');
+    expect(result.score).toBe(0.76);
+    const voicemail = result.candidates.find(candidate => candidate.scenario === 'scenario4');
+    expect(voicemail.score).toBe(0);
+    expect(voicemail.reasons).toContain('veto: iOS 26 phrase in this transcript');
+  });
+
+  test('scales phrase evidence by confidence, treating no confidence as full weight', () => {
+    expect(classify('Please leave a message', { confidence: 0.5 }).score).toBe(0.45);
+    expect(classify('Please leave a message', { confidence: null }).score).toBe(0.6);
+  });
+
+  test('only acts once a score reaches its threshold', () => {
+    const strict = { ...DEFAULTS, voicemail: 1 };
+
+    const phraseOnly = classify('Please leave a message', { thresholds: strict });
+    expect(phraseOnly.scenario).toBeNull();
+    expect(phraseOnly.score).toBe(0.57);
+
+    expect(classify('Please leave a message', { thresholds: strict, amdResult: 'machine_start' }).scenario).toBe('scenario4');
+  });
+
+  test('only scores a scenario inside its timing window', () => {
+    expect(classify('Who is this?', { elapsedTime: 10 }).scenario).toBe('scenario3');
+    expect(classify('Who is this?', { elapsedTime: 2 }).scenario).toBeNull();
+    expect(classify('Please leave a message', { elapsedTime: 31 }).scenario).toBeNull();
+  });
+
+  test('the fallback window assumes a human unless AMD says machine', () => {
+    expect(classify('mhm', { elapsedTime: 22 }).scenario).toBe('scenario3_fallback');
+
+    const machine = classify('mhm', { elapsedTime: 22, amdResult: 'machine_start' });
+    expect(machine.scenario).toBe('scenario4');
+    expect(machine.candidates.find(candidate => candidate.scenario === 'scenario3_fallback').reasons)
+      .toContain('veto: AMD says machine_start');
+  });
+
+  test('only scores the scenarios of the current call state', () => {
+    const monitoring = classify('Who is this?', { state: 'IOS26_MONITORING' });
+    expect(monitoring.scenario).toBe('scenario2');
+    expect(monitoring.candidates.map(candidate => candidate.scenario))
+      .toEqual(['ios26_prompt', 'scenario1_voicemail', 'scenario2', 'undeliverable']);
+
+    expect(classify('Please leave a message', { state: 'PASSTHROUGH' }))
+      .toEqual({ scenario: null, decision: null, score: 0, reasons: [], candidates: [] });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Screeners other than iOS 26 (see SCREENER PROFILES in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { detectScreenerPreamble, detectScreenerPrompt, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('detectScreenerPreamble', () => {
+  test.each([
+    ['Hi, if you record your name and reason for calling, I will see if this person is available', 'ios26'],
+    ['Hi, the person you are calling is using a screening service from Google', 'google_call_screen'],
+    ['Hello, this is Bixby text call, tell me why you are calling', 'samsung_bixby'],
+    ['This call is being screened by Verizon Call Filter', 'verizon_call_filter'],
+    ['This call is being screened by T-Mobile Scam Shield', 'tmobile_scam_shield']
+  ])('"%s" is %s', (text, profile) => {
+    expect(detectScreenerPreamble(text, 'en-US')).toMatchObject({ name: profile });
+  });
+
+  test('lets the longer preamble win over an iOS 26 partial phrase it contains', () => {
+    expect(detectScreenerPreamble("Please say your name and why you're calling", 'en-US')).toMatchObject({ name: 'google_call_screen' });
+  });
+
+  test('finds nothing in ordinary speech', () => {
+    expect(detectScreenerPreamble('Hello, who is this?', 'en-US')).toBeNull();
+  });
+});
+
+describe('detectScreenerPrompt', () => {
+  test('only listens for the prompts of the screeners it is given', () => {
+    const google = { name: 'google_call_screen', promptCategory: 'googleCallScreenPrompts' };
+    const bixby = { name: 'samsung_bixby', promptCategory: 'bixbyTextCallPrompts' };
+
+    expect(detectScreenerPrompt('still checking', 'en-US', [google])).toMatchObject({ name: 'google_call_screen' });
+    expect(detectScreenerPrompt('still checking', 'en-US', [bixby])).toBeNull();
+  });
+
+  test('ignores a long transcript that merely contains a prompt', () => {
+    expect(detectScreenerPrompt('yes hi sorry I was just about to say please stay on the line because I am driving', 'en-US')).toBeNull();
+  });
+});
+
+test('a Google Call Screen call gets its own response and monitoring state', async () => {
+  const { context, requests } = createContext({ GOOGLE_CALL_SCREEN_RESPONSE: 'Hi, this is Acme about your order' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'The person you are calling is using a screening service from Google', { SequenceId: '1' }));
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('GOOGLE_CALL_SCREEN_MONITORING');
+  expect(record.screenerProfile).toBe('google_call_screen');
+  expect(requests.filter(request => String(request.twiml).includes('Hi, this is Acme about your order'))).toHaveLength(1);
+});
+
+test('a screener without its own response variable is answered with SCREENING_RESPONSE', async () => {
+  const { context, requests } = createContext({ SCREENING_RESPONSE: 'Hi, this is Acme' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'This call is being screened by Verizon', { SequenceId: '1' }));
+
+  expect((await getCallRecord('CA1')).state).toBe('VERIZON_CALL_FILTER_MONITORING');
+  expect(requests.filter(request => String(request.twiml).includes('Hi, this is Acme'))).toHaveLength(1);
+});
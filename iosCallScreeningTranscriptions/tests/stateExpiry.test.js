@@ -0,0 +1,85 @@
+/**
+ * Expiry of idle call state (see sweepStaleCallState in the handler)
+ */
+
+const {
+  configureStateStore,
+  getCallRecord,
+  updateCallRecord,
+  sweepStaleCallState,
+  resetState
+} = require('../functions/ios26_CallScreeningDetection_Transcriptions')._test;
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+beforeEach(() => {
+  resetState();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('configureStateStore', () => {
+  test('expires records after CALL_STATE_MAX_AGE_SECONDS', () => {
+    expect(configureStateStore({ CALL_STATE_MAX_AGE_SECONDS: '600' }).maxAgeSeconds).toBe(600);
+  });
+
+  test('falls back to four hours for a missing or invalid max age', () => {
+    expect(configureStateStore({}).maxAgeSeconds).toBe(4 * 60 * 60);
+    expect(configureStateStore({ CALL_STATE_MAX_AGE_SECONDS: '-5' }).maxAgeSeconds).toBe(4 * 60 * 60);
+    expect(configureStateStore({ CALL_STATE_MAX_AGE_SECONDS: 'soon' }).maxAgeSeconds).toBe(4 * 60 * 60);
+  });
+});
+
+describe('sweepStaleCallState', () => {
+  test('reclaims only records idle for longer than the max age and logs their last state', async () => {
+    jest.useFakeTimers({ now: 1700000000000, doNotFake: ['setImmediate', 'nextTick'] });
+    configureStateStore({ CALL_STATE_MAX_AGE_SECONDS: '600' });
+    await updateCallRecord('CAidle', record => { record.state = 'IOS26_MONITORING'; });
+
+    jest.setSystemTime(1700000000000 + 500 * 1000);
+    await updateCallRecord('CAactive', record => { record.state = 'INITIAL'; });
+
+    jest.setSystemTime(1700000000000 + 601 * 1000);
+    await sweepStaleCallState();
+
+    expect(await getCallRecord('CAidle')).toBeNull();
+    expect(await getCallRecord('CAactive')).not.toBeNull();
+    const logged = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+    expect(logged).toContain('reclaimed 1 orphaned call(s)');
+    expect(logged).toContain('CAidle: last known state IOS26_MONITORING');
+  });
+
+  test('counts every write as activity', async () => {
+    jest.useFakeTimers({ now: 1700000000000, doNotFake: ['setImmediate', 'nextTick'] });
+    configureStateStore({ CALL_STATE_MAX_AGE_SECONDS: '600' });
+    await updateCallRecord('CA1', record => { record.state = 'INITIAL'; });
+
+    jest.setSystemTime(1700000000000 + 400 * 1000);
+    await updateCallRecord('CA1', record => { record.state = 'IOS26_MONITORING'; });
+
+    jest.setSystemTime(1700000000000 + 900 * 1000);
+    await sweepStaleCallState();
+    expect(await getCallRecord('CA1')).not.toBeNull();
+  });
+
+  test('sweeps at most once a minute on an instance', async () => {
+    jest.useFakeTimers({ now: 1700000000000, doNotFake: ['setImmediate', 'nextTick'] });
+    configureStateStore({ CALL_STATE_MAX_AGE_SECONDS: '600' });
+    await updateCallRecord('CA1', record => { record.state = 'INITIAL'; });
+
+    jest.setSystemTime(1700000000000 + 590 * 1000);
+    await sweepStaleCallState();
+
+    // Idle past the max age, but the last sweep was only 30 seconds ago
+    jest.setSystemTime(1700000000000 + 620 * 1000);
+    await sweepStaleCallState();
+    expect(await getCallRecord('CA1')).not.toBeNull();
+
+    jest.setSystemTime(1700000000000 + 650 * 1000);
+    await sweepStaleCallState();
+    expect(await getCallRecord('CA1')).toBeNull();
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Call-state store adapters and compare-and-set updates (see STATE MANAGEMENT
+ * in the handler)
+ */
+
+const mockRedisClient = {
+  handlers: {},
+  values: new Map(),
+  on(event, handler) { this.handlers[event] = handler; },
+  connect: jest.fn(async () => {}),
+  disconnect: jest.fn(async () => {}),
+  get: jest.fn(async key => mockRedisClient.values.get(key) || null),
+  del: jest.fn(async key => { mockRedisClient.values.delete(key); }),
+  // Same rule as the Lua script: only write over exactly what was read
+  eval: jest.fn(async (script, { keys: [key], arguments: [expected, value] }) => {
+    const current = mockRedisClient.values.has(key) ? mockRedisClient.values.get(key) : '';
+    if (current !== expected) return 0;
+    mockRedisClient.values.set(key, value);
+    return 1;
+  })
+};
+jest.mock('redis', () => ({ createClient: jest.fn(() => mockRedisClient) }), { virtual: true });
+
+const {
+  createMemoryStateStore,
+  createSyncStateStore,
+  createRedisStateStore,
+  configureStateStore,
+  getCallRecord,
+  updateCallRecord,
+  resetState
+} = require('../functions/ios26_CallScreeningDetection_Transcriptions')._test;
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+/**
+ * Fake Sync documents API with revisions and If-Match, keyed by unique name
+ */
+function createSyncContext({ createRace = false } = {}) {
+  const stored = new Map();
+  const fail = (status, code) => Object.assign(new Error(`Sync error ${status || code}`), { status, code });
+  const documents = uniqueName => ({
+    fetch: async () => {
+      if (!stored.has(uniqueName)) throw fail(404);
+      return stored.get(uniqueName);
+    },
+    update: jest.fn(async ({ data, ifMatch }) => {
+      if (!stored.has(uniqueName)) throw fail(404);
+      const { revision } = stored.get(uniqueName);
+      if (ifMatch !== revision) throw fail(412);
+      stored.set(uniqueName, { data, revision: String(Number(revision) + 1) });
+    }),
+    remove: async () => {
+      if (!stored.has(uniqueName)) throw fail(404);
+      stored.delete(uniqueName);
+    }
+  });
+  documents.create = jest.fn(async ({ uniqueName, data }) => {
+    if (createRace || stored.has(uniqueName)) {
+      // Another instance created the document first
+      stored.set(uniqueName, stored.get(uniqueName) || { data: { state: 'INITIAL' }, revision: '0' });
+      throw fail(409, 54301);
+    }
+    stored.set(uniqueName, { data, revision: '0' });
+  });
+  const context = {
+    getTwilioClient: () => ({ sync: { v1: { services: () => ({ documents }) } } })
+  };
+  return { context, stored, documents };
+}
+
+beforeEach(() => {
+  resetState();
+  mockRedisClient.values.clear();
+});
+
+describe('memory store', () => {
+  test('returns copies, so changes only count once they are written', async () => {
+    const store = createMemoryStateStore();
+    expect(await store.compareAndSet('CA1', { state: 'INITIAL' }, null)).toBe(true);
+
+    const { record, revision } = await store.read('CA1');
+    record.state = 'PASSTHROUGH';
+    expect((await store.read('CA1')).record.state).toBe('INITIAL');
+
+    expect(await store.compareAndSet('CA1', record, revision)).toBe(true);
+    expect((await store.read('CA1')).record.state).toBe('PASSTHROUGH');
+  });
+
+  test('rejects a write against a stale revision', async () => {
+    const store = createMemoryStateStore();
+    await store.compareAndSet('CA1', { state: 'INITIAL' }, null);
+    const { revision } = await store.read('CA1');
+
+    expect(await store.compareAndSet('CA1', { state: 'IOS26_MONITORING' }, revision)).toBe(true);
+    expect(await store.compareAndSet('CA1', { state: 'PASSTHROUGH' }, revision)).toBe(false);
+    expect(await store.compareAndSet('CA1', { state: 'PASSTHROUGH' }, null)).toBe(false);
+    expect((await store.read('CA1')).record.state).toBe('IOS26_MONITORING');
+  });
+
+  test('reads an unknown or deleted call as no record', async () => {
+    const store = createMemoryStateStore();
+    expect(await store.read('CA1')).toEqual({ record: null, revision: null });
+
+    await store.compareAndSet('CA1', { state: 'INITIAL' }, null);
+    await store.delete('CA1');
+    expect(await store.read('CA1')).toEqual({ record: null, revision: null });
+  });
+
+  test('drops a client that reports an error and connects a new one on the next use', async () => {
+    const { createClient } = require('redis');
+    createClient.mockClear();
+    mockRedisClient.connect.mockClear();
+    const store = createRedisStateStore({ REDIS_URL: 'redis://localhost' }, 600);
+
+    await store.read('CA1');
+    await store.read('CA1');
+    expect(createClient).toHaveBeenCalledTimes(1);
+    expect(mockRedisClient.connect).toHaveBeenCalledTimes(1);
+
+    mockRedisClient.handlers.error(new Error('Socket closed unexpectedly'));
+    expect(mockRedisClient.disconnect).toHaveBeenCalled();
+
+    await store.read('CA1');
+    expect(createClient).toHaveBeenCalledTimes(2);
+    expect(mockRedisClient.connect).toHaveBeenCalledTimes(2);
+  });
+
+  test('tries to connect again after a failed connection', async () => {
+    const { createClient } = require('redis');
+    createClient.mockClear();
+    const store = createRedisStateStore({ REDIS_URL: 'redis://localhost' }, 600);
+    mockRedisClient.connect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    await expect(store.read('CA1')).rejects.toThrow('ECONNREFUSED');
+    expect(await store.read('CA1')).toEqual({ record: null, revision: null });
+    expect(createClient).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('sync store', () => {
+  test('creates the document on the first write and updates it with If-Match after', async () => {
+    const { context, stored, documents } = createSyncContext();
+    const store = createSyncStateStore(context, 600);
+
+    expect(await store.compareAndSet('CA1', { state: 'INITIAL' }, null)).toBe(true);
+    const { revision } = await store.read('CA1');
+    expect(await store.compareAndSet('CA1', { state: 'IOS26_MONITORING' }, revision)).toBe(true);
+
+    expect(documents.create).toHaveBeenCalledTimes(1);
+    expect(documents.create.mock.calls[0][0]).toMatchObject({ uniqueName: 'CA1', ttl: 600 });
+    expect(stored.get('CA1').data).toEqual({ state: 'IOS26_MONITORING' });
+  });
+
+  test('loses the race when another instance created or updated the document first', async () => {
+    const { context, stored } = createSyncContext({ createRace: true });
+    const store = createSyncStateStore(context, 600);
+
+    expect(await store.compareAndSet('CA1', { state: 'IOS26_MONITORING' }, null)).toBe(false);
+    expect(await store.compareAndSet('CA1', { state: 'IOS26_MONITORING' }, 'stale')).toBe(false);
+    expect(stored.get('CA1').data).toEqual({ state: 'INITIAL' });
+  });
+
+  test('treats a missing document as no record', async () => {
+    const { context } = createSyncContext();
+    const store = createSyncStateStore(context, 600);
+
+    expect(await store.read('CA1')).toEqual({ record: null, revision: null });
+    await expect(store.delete('CA1')).resolves.toBeUndefined();
+  });
+});
+
+describe('redis store', () => {
+  test('requires REDIS_URL', () => {
+    expect(() => createRedisStateStore({})).toThrow('REDIS_URL');
+  });
+
+  test('stores JSON under the key prefix and only writes over what was read', async () => {
+    const store = createRedisStateStore({ REDIS_URL: 'redis://localhost', REDIS_KEY_PREFIX: 'test:' }, 600);
+
+    expect(await store.compareAndSet('CA1', { state: 'INITIAL' }, null)).toBe(true);
+    expect(mockRedisClient.values.get('test:CA1')).toBe('{"state":"INITIAL"}');
+
+    const { record, revision } = await store.read('CA1');
+    expect(record).toEqual({ state: 'INITIAL' });
+    expect(await store.compareAndSet('CA1', { state: 'IOS26_MONITORING' }, revision)).toBe(true);
+    expect(await store.compareAndSet('CA1', { state: 'PASSTHROUGH' }, revision)).toBe(false);
+
+    await store.delete('CA1');
+    expect(await store.read('CA1')).toEqual({ record: null, revision: null });
+  });
+
+  test('drops a client that reports an error and connects a new one on the next use', async () => {
+    const { createClient } = require('redis');
+    createClient.mockClear();
+    mockRedisClient.connect.mockClear();
+    const store = createRedisStateStore({ REDIS_URL: 'redis://localhost' }, 600);
+
+    await store.read('CA1');
+    await store.read('CA1');
+    expect(createClient).toHaveBeenCalledTimes(1);
+    expect(mockRedisClient.connect).toHaveBeenCalledTimes(1);
+
+    mockRedisClient.handlers.error(new Error('Socket closed unexpectedly'));
+    expect(mockRedisClient.disconnect).toHaveBeenCalled();
+
+    await store.read('CA1');
+    expect(createClient).toHaveBeenCalledTimes(2);
+    expect(mockRedisClient.connect).toHaveBeenCalledTimes(2);
+  });
+
+  test('tries to connect again after a failed connection', async () => {
+    const { createClient } = require('redis');
+    createClient.mockClear();
+    const store = createRedisStateStore({ REDIS_URL: 'redis://localhost' }, 600);
+    mockRedisClient.connect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    await expect(store.read('CA1')).rejects.toThrow('ECONNREFUSED');
+    expect(await store.read('CA1')).toEqual({ record: null, revision: null });
+    expect(createClient).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('updateCallRecord', () => {
+  beforeEach(() => {
+    configureStateStore({});
+  });
+
+  test('applies every one of many concurrent updates', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => updateCallRecord('CA1', record => {
+      record.updates = (record.updates || 0) + 1;
+    })));
+
+    expect((await getCallRecord('CA1')).updates).toBe(5);
+  });
+
+  test('writes nothing when the mutator returns false', async () => {
+    await updateCallRecord('CA1', () => false);
+    expect(await getCallRecord('CA1')).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Per-call timing profile (see TIMING PROFILE in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const {
+  resolveTimingProfile,
+  getCallTimingProfile,
+  configureStateStore,
+  getCallRecord,
+  resetState
+} = handlerModule._test;
+const { createContext, sendWebhook, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+beforeEach(() => {
+  resetState();
+  configureStateStore({});
+});
+
+describe('resolveTimingProfile', () => {
+  test('keeps the original hardcoded values by default', () => {
+    expect(resolveTimingProfile({})).toMatchObject({
+      earlyHumanWindowStart: 5,
+      earlyHumanWindowEnd: 35,
+      fallbackPassthroughStart: 20,
+      fallbackPassthroughEnd: 25,
+      directVoicemailCutoff: 30,
+      inferredIOS26Window: 12,
+      monitoringPauseSeconds: 60,
+      actionPauseSeconds: 300
+    });
+  });
+
+  test('lets request parameters override environment variables', () => {
+    const profile = resolveTimingProfile(
+      { EARLY_HUMAN_WINDOW_END: '40', DIRECT_VOICEMAIL_CUTOFF: '25' },
+      { EARLY_HUMAN_WINDOW_END: '45' }
+    );
+
+    expect(profile.earlyHumanWindowEnd).toBe(45);
+    expect(profile.directVoicemailCutoff).toBe(25);
+  });
+
+  test('ignores values that are not numbers or out of range', () => {
+    const profile = resolveTimingProfile({
+      DIRECT_VOICEMAIL_CUTOFF: 'thirty',
+      INFERRED_IOS26_WINDOW: '-1',
+      MONITORING_PAUSE_SECONDS: '2.5',
+      ACTION_PAUSE_SECONDS: '0'
+    });
+
+    expect(profile.directVoicemailCutoff).toBe(30);
+    expect(profile.inferredIOS26Window).toBe(12);
+    expect(profile.monitoringPauseSeconds).toBe(60);
+    expect(profile.actionPauseSeconds).toBe(300);
+  });
+
+  test('falls back to the default window when a window starts after it ends', () => {
+    const profile = resolveTimingProfile({ EARLY_HUMAN_WINDOW_START: '40' });
+
+    expect(profile.earlyHumanWindowStart).toBe(5);
+    expect(profile.earlyHumanWindowEnd).toBe(35);
+  });
+});
+
+describe('getCallTimingProfile', () => {
+  test('keeps the profile the call was initialized with for every later webhook', async () => {
+    const { context } = createContext({ DIRECT_VOICEMAIL_CUTOFF: '25' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', EARLY_HUMAN_WINDOW_END: '40' });
+
+    expect((await getCallRecord('CA1')).timing.earlyHumanWindowEnd).toBe(40);
+
+    // A later webhook has no request parameters - the stored profile still applies
+    const timing = await getCallTimingProfile('CA1', { DIRECT_VOICEMAIL_CUTOFF: '10' });
+    expect(timing.earlyHumanWindowEnd).toBe(40);
+    expect(timing.directVoicemailCutoff).toBe(25);
+  });
+
+  test('uses the environment for calls it has no record of', async () => {
+    const timing = await getCallTimingProfile('CAunknown', { DIRECT_VOICEMAIL_CUTOFF: '10' });
+    expect(timing.directVoicemailCutoff).toBe(10);
+  });
+});
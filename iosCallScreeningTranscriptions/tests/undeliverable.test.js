@@ -0,0 +1,74 @@
+/**
+ * Recordings that can't take a message (see UNDELIVERABLE OUTCOMES in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const {
+  detectUndeliverableOutcome,
+  resolveTimingProfile,
+  collectScenarioSignals,
+  classifyScenario,
+  getCallRecord,
+  resetState
+} = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const THRESHOLDS = { human: 0.5, voicemail: 0.5, ios26: 0.5 };
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('detectUndeliverableOutcome', () => {
+  test.each([
+    ['The mailbox is full and cannot accept any messages', 'mailbox_full'],
+    ['The voicemail box has not been set up', 'mailbox_not_set_up'],
+    ['The number you have dialed is not in service', 'number_disconnected'],
+    ['Your call cannot be completed as dialed', 'call_not_completed']
+  ])('"%s" is %s', (text, disposition) => {
+    expect(detectUndeliverableOutcome(text, 'en-US')).toMatchObject({ disposition });
+  });
+
+  test('finds nothing in an ordinary greeting', () => {
+    expect(detectUndeliverableOutcome("Hi, you've reached Sam, please leave a message", 'en-US')).toBeNull();
+  });
+});
+
+test('vetoes the voicemail scenario for a greeting that turns out to be full', () => {
+  const transcript = 'Please leave a message. Sorry, the mailbox is full';
+  const signals = collectScenarioSignals(
+    { state: 'INITIAL', elapsedTime: 8, timing: resolveTimingProfile({}), amdResult: 'machine_start', language: 'en-US', confidence: 0.9 },
+    transcript, transcript);
+  const classification = classifyScenario(signals, THRESHOLDS);
+
+  expect(classification.scenario).toBe('undeliverable');
+  expect(classification.candidates.find(candidate => candidate.scenario === 'scenario4').reasons)
+    .toContain('veto: Mailbox full phrase in this transcript');
+});
+
+test('hangs up with the outcome as the disposition', async () => {
+  const { context, requests } = createContext({ VOICEMAIL_MESSAGE: 'Please call us back' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'The number you have dialed is not in service', { SequenceId: '1' }));
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('ENDED');
+  expect(record.disposition).toBe('number_disconnected');
+  expect(requests).toEqual([expect.objectContaining({ twiml: expect.stringContaining('<Hangup/>') })]);
+});
+
+test('still hangs up while waiting for the beep', async () => {
+  const { context, requests } = createContext({ VOICEMAIL_MESSAGE: 'Please call us back' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Please leave a message', { SequenceId: '1' }));
+  expect((await getCallRecord('CA1')).state).toBe('AWAITING_BEEP');
+
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Sorry, this mailbox is full', { SequenceId: '2' }));
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('ENDED');
+  expect(record.disposition).toBe('mailbox_full');
+  expect(requests.some(request => String(request.twiml).includes('Please call us back</Say>'))).toBe(false);
+});
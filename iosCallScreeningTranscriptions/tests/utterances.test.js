@@ -0,0 +1,127 @@
+/**
+ * The call transcript as utterance records (see TRANSCRIPT in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { addUtterance, recordUtterance, selectUtterances, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const T0 = Date.parse('2026-01-01T12:00:00.000Z');
+
+/**
+ * A transcription result on the initial session
+ */
+function result(text, overrides = {}) {
+  return {
+    text,
+    timestamp: T0,
+    isFinal: false,
+    confidence: 0,
+    state: 'INITIAL',
+    session: 'ios26-full-detection',
+    transcriptionSid: 'GT1',
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('addUtterance', () => {
+  test('replaces the unfinished utterance with each better guess, keeping when it started', () => {
+    let utterances = addUtterance([], result('hi if you'));
+    utterances = addUtterance(utterances, result('hi if you record your name', { timestamp: T0 + 1000 }));
+    utterances = addUtterance(utterances, result('Hi, if you record your name and reason for calling', { timestamp: T0 + 2000, isFinal: true, confidence: 0.92 }));
+
+    expect(utterances).toHaveLength(1);
+    expect(utterances[0]).toMatchObject({
+      text: 'Hi, if you record your name and reason for calling',
+      timestamp: T0,
+      isFinal: true,
+      confidence: 0.92
+    });
+  });
+
+  test('starts a new utterance after a final result, or for another session', () => {
+    let utterances = addUtterance([], result('record your name', { isFinal: true }));
+    utterances = addUtterance(utterances, result('thank you'));
+    utterances = addUtterance(utterances, result('hello', { transcriptionSid: 'GT2', state: 'IOS26_MONITORING' }));
+
+    expect(utterances.map(utterance => utterance.text)).toEqual(['record your name', 'thank you', 'hello']);
+  });
+
+  test('does not change the list it was given', () => {
+    const utterances = [];
+    addUtterance(utterances, result('hello'));
+    expect(utterances).toEqual([]);
+  });
+
+  test('drops the oldest utterance of the current state when the call is full, keeping earlier states', () => {
+    let utterances = addUtterance([], result('record your name', { isFinal: true }));
+    for (let i = 0; i < 40; i++) {
+      utterances = addUtterance(utterances, result(`word ${i}`, { isFinal: true, state: 'IOS26_MONITORING', transcriptionSid: 'GT2' }));
+    }
+
+    expect(utterances).toHaveLength(40);
+    expect(utterances[0].text).toBe('record your name');
+    expect(utterances[1].text).toBe('word 1');
+  });
+
+  test('cuts very long results down to 500 characters', () => {
+    expect(addUtterance([], result('a'.repeat(600)))[0].text).toHaveLength(500);
+  });
+});
+
+describe('selectUtterances', () => {
+  const utterances = [
+    result('preamble', { isFinal: true }),
+    result('thank', { state: 'IOS26_MONITORING', timestamp: T0 + 10000 }),
+    result('hello', { state: 'IOS26_MONITORING', timestamp: T0 + 20000, isFinal: true })
+  ];
+
+  test('picks by call state, time window and final flag', () => {
+    const texts = filter => selectUtterances(utterances, filter).map(utterance => utterance.text);
+
+    expect(texts({ states: ['IOS26_MONITORING'] })).toEqual(['thank', 'hello']);
+    expect(texts({ since: T0 + 10000 })).toEqual(['thank', 'hello']);
+    expect(texts({ until: T0 + 10000 })).toEqual(['preamble', 'thank']);
+    expect(texts({ finalOnly: true })).toEqual(['preamble', 'hello']);
+    expect(texts()).toEqual(['preamble', 'thank', 'hello']);
+  });
+
+  test('copes with a record that has no utterances yet', () => {
+    expect(selectUtterances(undefined, { states: ['INITIAL'] })).toEqual([]);
+  });
+});
+
+test('drops the oldest utterances of the current state until the record fits in a Sync document', async () => {
+  const { context } = createContext();
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await recordUtterance('CA1', result('preamble', { isFinal: true }));
+
+  // 450 characters of two-byte text each - 40 of them would be about 36 KB
+  for (let i = 0; i < 40; i++) {
+    await recordUtterance('CA1', result(`${i} ${'é'.repeat(450)}`, { state: 'IOS26_MONITORING', timestamp: T0 + i * 1000, isFinal: true }));
+  }
+
+  const record = await getCallRecord('CA1');
+  const texts = record.utterances.map(utterance => utterance.text.split(' ')[0]);
+  expect(Buffer.byteLength(JSON.stringify(record))).toBeLessThanOrEqual(12 * 1024);
+  expect(texts[0]).toBe('preamble');
+  expect(texts[texts.length - 1]).toBe('39');
+  expect(texts.length).toBeLessThan(20);
+});
+
+test('the handler stores partial results as one utterance, not repeated words', async () => {
+  const { context } = createContext();
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'good', { Final: 'false', SequenceId: '1' }));
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'good morning', { Final: 'false', SequenceId: '2' }));
+
+  const { utterances } = await getCallRecord('CA1');
+  expect(utterances).toHaveLength(1);
+  expect(utterances[0]).toMatchObject({ text: 'good morning', isFinal: false, state: 'INITIAL' });
+});
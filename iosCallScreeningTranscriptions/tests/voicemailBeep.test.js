@@ -0,0 +1,179 @@
+/**
+ * Waiting for the voicemail beep before leaving our message (see VOICEMAIL
+ * BEEP in the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { getAMDBeepSignal, detectGreetingEnd, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, useFakeClock, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const T0 = Date.parse('2026-01-01T12:00:00.000Z');
+const LOOP = { CallSid: 'CA1', loop: 'monitoring' };
+const MESSAGE = 'Please call us back';
+
+/**
+ * Start a call that has just reached a voicemail greeting without an end
+ * ("...leave a message") - it's now waiting for the beep
+ */
+async function reachVoicemail(env = {}) {
+  const { context, requests } = createContext({ VOICEMAIL_MESSAGE: MESSAGE, ...env });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', "Sorry I can't take your call, please leave a message", { SequenceId: '1' }));
+  return { context, requests };
+}
+
+const messagesPlayed = requests => requests.filter(request => String(request.twiml).includes(`${MESSAGE}</Say>`));
+
+beforeEach(() => {
+  resetState();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('getAMDBeepSignal', () => {
+  const amd = (amdResult, extra = {}) => ({ amdResult, amdResultAt: T0, spokenPrompts: [], ...extra });
+
+  test('only counts a beep', () => {
+    expect(getAMDBeepSignal(amd('machine_end_beep'))).toBe('amd_beep');
+    expect(getAMDBeepSignal(amd('machine_end_silence'))).toBeNull();
+    expect(getAMDBeepSignal(amd('machine_end_other'))).toBeNull();
+    expect(getAMDBeepSignal(amd('machine_start'))).toBeNull();
+    expect(getAMDBeepSignal(amd('human'))).toBeNull();
+    expect(getAMDBeepSignal(null)).toBeNull();
+  });
+
+  test('ignores a result from before the last prompt we spoke', () => {
+    const prompt = saidAt => [{ kind: 'screeningResponse', text: 'Hi', saidAt, until: saidAt + 5000 }];
+
+    expect(getAMDBeepSignal(amd('machine_end_beep', { spokenPrompts: prompt(T0 + 1000) }))).toBeNull();
+    expect(getAMDBeepSignal(amd('machine_end_beep', { spokenPrompts: prompt(T0 - 1000) }))).toBe('amd_beep');
+  });
+});
+
+test('detectGreetingEnd hears the end of a greeting', () => {
+  expect(detectGreetingEnd('please leave your message after the tone', 'en-US')).toBe(true);
+  expect(detectGreetingEnd('please leave a message', 'en-US')).toBe(false);
+});
+
+test('waits in AWAITING_BEEP until a signal comes', async () => {
+  const { requests } = await reachVoicemail();
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('AWAITING_BEEP');
+  expect(messagesPlayed(requests)).toHaveLength(0);
+  expect(requests[requests.length - 1].twiml).toContain('?loop=monitoring</Redirect>');
+});
+
+test('plays the message when AMD reports the beep', async () => {
+  const { context, requests } = await reachVoicemail();
+
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'machine_end_beep' });
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('VOICEMAIL_DELIVERED');
+  expect(record.voicemailTrigger).toBe('amd_beep');
+  expect(messagesPlayed(requests)).toHaveLength(1);
+});
+
+test('keeps waiting when AMD only heard the end of a greeting without a beep', async () => {
+  const { context, requests } = await reachVoicemail();
+
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'machine_end_silence' });
+
+  expect((await getCallRecord('CA1')).state).toBe('AWAITING_BEEP');
+  expect(messagesPlayed(requests)).toHaveLength(0);
+});
+
+describe('after answering a screener', () => {
+  const PREAMBLE = 'If you record your name and reason for calling, I will see if this person is available';
+
+  async function screenThenVoicemail(amdBeforeResponse) {
+    useFakeClock(T0);
+    const { context, requests } = createContext({ VOICEMAIL_MESSAGE: MESSAGE, NO_SPEECH_TIMEOUT: '600' });
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+    if (amdBeforeResponse) {
+      // AMD's one answer - about the end of the screener's prompt
+      jest.setSystemTime(T0 + 3 * 1000);
+      await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'machine_end_beep' });
+    }
+    jest.setSystemTime(T0 + 5 * 1000);
+    await sendWebhook(handlerModule, context, transcriptEvent('CA1', PREAMBLE, { SequenceId: '1' }));
+    jest.setSystemTime(T0 + 25 * 1000);
+    await sendWebhook(handlerModule, context, transcriptEvent('CA1', "Sorry I can't take your call, please leave a message", { SequenceId: '2' }));
+    return { context, requests };
+  }
+
+  test('does not take the AMD result about the screener for the voicemail beep', async () => {
+    const { context, requests } = await screenThenVoicemail(true);
+    expect((await getCallRecord('CA1')).state).toBe('AWAITING_BEEP');
+
+    jest.setSystemTime(T0 + 30 * 1000);
+    await sendWebhook(handlerModule, context, LOOP);
+    expect(messagesPlayed(requests)).toHaveLength(0);
+
+    jest.setSystemTime(T0 + 35 * 1000);
+    expect(await sendWebhook(handlerModule, context, LOOP)).toContain(`${MESSAGE}</Say>`);
+    expect((await getCallRecord('CA1')).voicemailTrigger).toBe('max_wait');
+  });
+
+  test('still plays on a beep AMD reports after our response', async () => {
+    const { context, requests } = await screenThenVoicemail(false);
+
+    jest.setSystemTime(T0 + 27 * 1000);
+    await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'machine_end_beep' });
+
+    expect((await getCallRecord('CA1')).voicemailTrigger).toBe('amd_beep');
+    expect(messagesPlayed(requests)).toHaveLength(1);
+  });
+});
+
+test('plays the message a second after a final transcript announces the tone', async () => {
+  const { context, requests } = await reachVoicemail();
+
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'after the tone', { Final: 'false', SequenceId: '2' }));
+  expect((await getCallRecord('CA1')).state).toBe('AWAITING_BEEP');
+
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'at the tone', { SequenceId: '3' }));
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('VOICEMAIL_DELIVERED');
+  expect(record.voicemailTrigger).toBe('greeting_end');
+  expect(messagesPlayed(requests)[0].twiml).toContain(`<Pause length="1"/><Say`);
+});
+
+test('plays the message right away when the deciding transcript already announced the tone', async () => {
+  const { context, requests } = createContext({ VOICEMAIL_MESSAGE: MESSAGE });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Please leave a message after the tone', { SequenceId: '1' }));
+
+  expect((await getCallRecord('CA1')).voicemailTrigger).toBe('greeting_end');
+  expect(messagesPlayed(requests)).toHaveLength(1);
+});
+
+test('stops waiting after VOICEMAIL_BEEP_TIMEOUT', async () => {
+  useFakeClock(T0);
+  const { context } = await reachVoicemail({ VOICEMAIL_BEEP_TIMEOUT: '8' });
+
+  jest.setSystemTime(T0 + 5 * 1000);
+  expect(await sendWebhook(handlerModule, context, LOOP)).toContain('<Pause length="3"/>');
+
+  jest.setSystemTime(T0 + 8 * 1000);
+  expect(await sendWebhook(handlerModule, context, LOOP)).toContain(`${MESSAGE}</Say>`);
+  expect((await getCallRecord('CA1')).voicemailTrigger).toBe('max_wait');
+});
+
+test('plays the message only once, whichever signal comes first', async () => {
+  useFakeClock(T0);
+  const { context, requests } = await reachVoicemail();
+
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress', AnsweredBy: 'machine_end_beep' });
+  jest.setSystemTime(T0 + 60 * 1000);
+  const twiml = await sendWebhook(handlerModule, context, LOOP);
+
+  expect(twiml).not.toContain(`${MESSAGE}</Say>`);
+  expect(messagesPlayed(requests)).toHaveLength(1);
+});
@@ -0,0 +1,129 @@
+/**
+ * Screened calls meeting their agent in a conference (see WARM HANDOFF in
+ * the handler)
+ */
+
+const handlerModule = require('../functions/ios26_CallScreeningDetection_Transcriptions');
+const { resolveHumanHandoff, settleWarmHandoff, getCallRecord, resetState } = handlerModule._test;
+const { createContext, sendWebhook, transcriptEvent, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const AGENT = '+15557654321';
+const AGENT_CALL = 'CA_CREATED_1';
+const RESPONSE = 'Hi, this is Acme about your order';
+const PREAMBLE = 'If you record your name and reason for calling, I will see if this person is available';
+
+/**
+ * Get a screened call to the point where the callee picked up - the callee is
+ * now on hold and the agent is being dialed
+ */
+async function reachWarmHandoff(env = {}) {
+  const { context, requests } = createContext({ WARM_HANDOFF_AGENT: AGENT, SCREENING_RESPONSE: RESPONSE, ...env }, { from: '+15550001111' });
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'in-progress' });
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', PREAMBLE, { SequenceId: '1' }));
+  await sendWebhook(handlerModule, context, transcriptEvent('CA1', 'Hello? Who is this?', { SequenceId: '2' }));
+  return { context, requests };
+}
+
+const participant = (event, callSid) => ({ handoffFor: 'CA1', CallSid: callSid, StatusCallbackEvent: event });
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('resolveHumanHandoff', () => {
+  test('takes WARM_HANDOFF_AGENT alongside the passthrough mode', () => {
+    expect(resolveHumanHandoff({ WARM_HANDOFF_AGENT: AGENT })).toEqual({ mode: 'pause', target: null, warmAgent: AGENT });
+    expect(resolveHumanHandoff({}, { WARM_HANDOFF_AGENT: 'sip:agent@example.com' })).toMatchObject({ warmAgent: 'sip:agent@example.com' });
+  });
+
+  test('ignores an agent that is not a number or SIP URI', () => {
+    expect(resolveHumanHandoff({ WARM_HANDOFF_AGENT: 'front desk' })).toMatchObject({ warmAgent: null });
+  });
+});
+
+test('holds the callee in a conference and dials the agent with a whisper', async () => {
+  const { requests } = await reachWarmHandoff();
+
+  const record = await getCallRecord('CA1');
+  expect(record.state).toBe('PASSTHROUGH');
+  expect(record.warmHandoff).toMatchObject({ status: 'waiting', agent: AGENT, agentCallSid: AGENT_CALL, conference: 'handoff-CA1' });
+
+  const hold = requests.find(request => request.callSid === 'CA1' && String(request.twiml).includes('<Conference'));
+  expect(hold.twiml).toContain('startConferenceOnEnter="false"');
+  expect(hold.twiml).toContain('?handoffFor=CA1');
+
+  const agentCall = requests.find(request => request.created);
+  expect(agentCall).toMatchObject({ to: AGENT, from: '+15550001111' });
+  expect(agentCall.twiml).toContain('Screened call, they heard:');
+  expect(agentCall.twiml).toContain(RESPONSE);
+  expect(agentCall.twiml).toContain('startConferenceOnEnter="true"');
+});
+
+test('connects once the agent joins, and stays connected when someone leaves', async () => {
+  const { context } = await reachWarmHandoff();
+
+  await sendWebhook(handlerModule, context, participant('participant-join', 'CA1'));
+  expect((await getCallRecord('CA1')).warmHandoff.status).toBe('waiting');
+
+  await sendWebhook(handlerModule, context, participant('participant-join', AGENT_CALL));
+  await sendWebhook(handlerModule, context, participant('participant-leave', 'CA1'));
+
+  const record = await getCallRecord('CA1');
+  expect(record.warmHandoff.status).toBe('connected');
+  expect(record.disposition).toBeNull();
+});
+
+test('hangs up on the agent when the callee leaves first', async () => {
+  const { context, requests } = await reachWarmHandoff();
+
+  await sendWebhook(handlerModule, context, participant('participant-leave', 'CA1'));
+
+  const record = await getCallRecord('CA1');
+  expect(record.warmHandoff.status).toBe('abandoned');
+  expect(record.disposition).toBe('callee_abandoned');
+  expect(requests.filter(request => request.callSid === AGENT_CALL).map(request => request.status))
+    .toEqual(['canceled', 'completed']);
+});
+
+test('ends the callee\'s call when the agent never joins', async () => {
+  const { context, requests } = await reachWarmHandoff();
+
+  await sendWebhook(handlerModule, context, { handoffFor: 'CA1', CallSid: AGENT_CALL, CallStatus: 'no-answer' });
+
+  const record = await getCallRecord('CA1');
+  expect(record.warmHandoff.status).toBe('agent_unavailable');
+  expect(record.disposition).toBe('agent_unavailable');
+  expect(requests[requests.length - 1]).toMatchObject({ callSid: 'CA1', twiml: expect.stringContaining('<Hangup/>') });
+});
+
+test('reports a callee who hung up on hold as abandoned, even before the conference says so', async () => {
+  const { context } = await reachWarmHandoff();
+
+  await sendWebhook(handlerModule, context, { CallSid: 'CA1', CallStatus: 'completed' });
+
+  const outcome = console.log.mock.calls
+    .map(([line]) => String(line))
+    .find(line => line.startsWith('📋 CALL_OUTCOME '));
+  expect(JSON.parse(outcome.slice('📋 CALL_OUTCOME '.length))).toMatchObject({
+    outcome: 'abandoned',
+    reason: 'callee_abandoned',
+    warmHandoff: { status: 'abandoned', agentCallSid: AGENT_CALL }
+  });
+});
+
+test('settleWarmHandoff only settles a waiting handoff, once', async () => {
+  const { context } = await reachWarmHandoff();
+
+  expect(await settleWarmHandoff('CA1', context, 'connected')).toBe(true);
+  expect(await settleWarmHandoff('CA1', context, 'abandoned')).toBe(false);
+  expect((await getCallRecord('CA1')).warmHandoff.status).toBe('connected');
+});
+
+test('a plain passthrough without WARM_HANDOFF_AGENT', async () => {
+  const { requests } = await reachWarmHandoff({ WARM_HANDOFF_AGENT: '' });
+
+  expect((await getCallRecord('CA1')).warmHandoff).toBeNull();
+  expect(requests.some(request => request.created)).toBe(false);
+});
@@ -27,7 +27,9 @@ fi
 # and responds appropriately. No need for different commands or configurations!
 #
 # IMPORTANT: All parameters below are REQUIRED for proper operation:
-# - machine-detection "Enable" + async-amd true = background AMD
+# - machine-detection "DetectMessageEnd" + async-amd true = background AMD
+#   that also reports the voicemail beep (machine_end_beep), so our voicemail
+#   message starts on the beep
 # - async-amd-status-callback = where AMD sends results
 # - status-callback = where call status events are sent
 # Without these, the function may exhibit duplicate message playback!
@@ -42,7 +44,7 @@ twilio api:core:calls:create \
   --from "$FROM_NUMBER" \
   --to "$TO_NUMBER" \
   --url "$FUNCTION_URL" \
-  --machine-detection "Enable" \
+  --machine-detection "DetectMessageEnd" \
   --async-amd true \
   --async-amd-status-callback "$FUNCTION_URL" \
   --async-amd-status-callback-method "POST" \